@@ -0,0 +1,137 @@
+// Rolling metric history behind the sparklines: the last hour at full resolution plus
+// one-minute averages for the last 24 hours. Samples live in fixed-size typed-array rings,
+// so memory stays flat no matter how long the tray runs.
+
+const HISTORY_FINE_WINDOW_MS = 60 * 60_000;
+const HISTORY_COARSE_WINDOW_MS = 24 * 60 * 60_000;
+const HISTORY_BUCKET_MS = 60_000;
+// WS pushes one snapshot per second; SSH polls far less often, so this covers a full hour
+const HISTORY_FINE_CAPACITY = 3600;
+const HISTORY_COARSE_CAPACITY = HISTORY_COARSE_WINDOW_MS / HISTORY_BUCKET_MS;
+
+class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.times = new Float64Array(capacity);
+    this.values = new Float64Array(capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  push(time, value) {
+    const index = (this.start + this.length) % this.capacity;
+    this.times[index] = time;
+    this.values[index] = value;
+    if (this.length < this.capacity) {
+      this.length += 1;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  lastTime() {
+    if (!this.length) return null;
+    return this.times[(this.start + this.length - 1) % this.capacity];
+  }
+
+  // Oldest first, only samples at or after `since`
+  points(since = 0) {
+    const result = [];
+    for (let i = 0; i < this.length; i += 1) {
+      const index = (this.start + i) % this.capacity;
+      if (this.times[index] >= since) {
+        result.push({ t: this.times[index], v: this.values[index] });
+      }
+    }
+    return result;
+  }
+}
+
+class MetricSeries {
+  constructor() {
+    this.fine = new RingBuffer(HISTORY_FINE_CAPACITY);
+    this.coarse = new RingBuffer(HISTORY_COARSE_CAPACITY);
+    // Minute currently being averaged; flushed into `coarse` when a sample lands in a later one
+    this.bucket = null;
+  }
+
+  add(time, value) {
+    const lastTime = this.fine.lastTime();
+    if (lastTime !== null && time <= lastTime) return;
+    this.fine.push(time, value);
+
+    const bucketStart = Math.floor(time / HISTORY_BUCKET_MS) * HISTORY_BUCKET_MS;
+    if (this.bucket && this.bucket.start !== bucketStart) {
+      this.flushBucket();
+    }
+    if (!this.bucket) {
+      this.bucket = { start: bucketStart, sum: 0, count: 0 };
+    }
+    this.bucket.sum += value;
+    this.bucket.count += 1;
+  }
+
+  flushBucket() {
+    if (!this.bucket || !this.bucket.count) return;
+    this.coarse.push(this.bucket.start, this.bucket.sum / this.bucket.count);
+    this.bucket = null;
+  }
+
+  points(range, now = Date.now()) {
+    if (range === '24h') {
+      const points = this.coarse.points(now - HISTORY_COARSE_WINDOW_MS);
+      // Include the minute in progress so the line reaches "now"
+      if (this.bucket?.count) {
+        points.push({ t: this.bucket.start, v: this.bucket.sum / this.bucket.count });
+      }
+      return points;
+    }
+    return this.fine.points(now - HISTORY_FINE_WINDOW_MS);
+  }
+
+  lastTime() {
+    return this.fine.lastTime();
+  }
+}
+
+function createMetricsHistory() {
+  const series = new Map();
+  let lastPruneAt = 0;
+
+  function record(key, time, value) {
+    if (!Number.isFinite(value) || !Number.isFinite(time)) return;
+    let entry = series.get(key);
+    if (!entry) {
+      entry = new MetricSeries();
+      series.set(key, entry);
+    }
+    entry.add(time, value);
+    pruneStale(time);
+  }
+
+  function lastTime(key) {
+    return series.get(key)?.lastTime() ?? null;
+  }
+
+  function points(key, range = '1h') {
+    const entry = series.get(key);
+    return entry ? entry.points(range) : [];
+  }
+
+  // Drop series (mostly removed containers) that have seen nothing for a whole day
+  function pruneStale(now) {
+    if (now - lastPruneAt < HISTORY_BUCKET_MS) return;
+    lastPruneAt = now;
+    for (const [key, entry] of series) {
+      if (now - (entry.lastTime() ?? 0) > HISTORY_COARSE_WINDOW_MS) {
+        series.delete(key);
+      }
+    }
+  }
+
+  function clear() {
+    series.clear();
+  }
+
+  return { record, points, lastTime, clear };
+}
@@ -8,15 +8,45 @@ const state = {
   showVms: true,
   showStoppedServices: false,
   dockerOrder: undefined,
+  // Transport delivering stats right now; differs from the profile's while "ws-ssh" falls back
   transport: 'ssh',
   wsUrl: null,
-  ws: null
+  // Active server profile; stats and history always belong to this id
+  serverId: null,
+  // 'server' (detailed dashboard of the active server) or 'fleet' (one row per server)
+  view: 'server',
+  fleetTimer: null,
+  lastContainers: [],
+  lastVms: [],
+  // id/name -> action currently in flight, so re-renders keep the row busy
+  pendingContainerActions: new Map(),
+  pendingVmActions: new Map(),
+  // Set while "Remove server" waits for its confirming click
+  removeServerTimer: null,
+  // Unknown SSH host key waiting for the user's decision, and the last one they put off
+  pendingHostKey: null,
+  dismissedHostKey: null,
+  // Sparkline window: '1h' (full resolution) or '24h' (per-minute averages)
+  historyRange: '1h',
+  // While a WS history backfill is in flight, live samples queue here so they land after it
+  historyBackfillQueue: null
 };
 
+// Each server keeps its own history, so switching back and forth doesn't lose the charts
+const historyByServer = new Map();
+let metricsHistory = createMetricsHistory();
+// Sparkline node -> what it last drew, for the hover tooltip
+const sparklineData = new WeakMap();
+
 const elements = {
   host: document.querySelector('[data-host]'),
+  serverSwitcher: document.querySelector('[data-server-switcher]'),
+  fleetButton: document.getElementById('fleet-btn'),
+  fleetList: document.querySelector('[data-fleet-list]'),
+  fleetCount: document.querySelector('[data-fleet-count]'),
   updated: document.querySelector('[data-updated]'),
   uptimeTop: document.querySelector('[data-uptime-top]'),
+  connectionState: document.querySelector('[data-connection-state]'),
   dashboardLink: document.querySelector('[data-dashboard-link]'),
   cpuValue: document.querySelector('[data-cpu-value]'),
   cpuBar: document.querySelector('[data-cpu-bar]'),
@@ -26,10 +56,17 @@ const elements = {
   arrayValue: document.querySelector('[data-array-value]'),
   arrayBar: document.querySelector('[data-array-bar]'),
   arrayMeta: document.querySelector('[data-array-meta]'),
+  parityTitle: document.querySelector('[data-parity-title]'),
+  parityValue: document.querySelector('[data-parity-value]'),
+  parityBar: document.querySelector('[data-parity-bar]'),
+  parityMeta: document.querySelector('[data-parity-meta]'),
   netIn: document.querySelector('[data-net-in]'),
   netOut: document.querySelector('[data-net-out]'),
   netInterface: document.querySelector('[data-net-interface]'),
   netInterfaceOut: document.querySelector('[data-net-interface-out]'),
+  diskSection: document.querySelector('[data-disk-section]'),
+  diskGrid: document.querySelector('[data-disk-grid]'),
+  diskCount: document.querySelector('[data-disk-count]'),
   error: document.getElementById('error-banner'),
   refreshButton: document.getElementById('refresh-btn'),
   containersActiveList: document.querySelector('[data-containers-active]'),
@@ -43,7 +80,10 @@ const elements = {
   vmInactiveGroup: document.querySelector('[data-vm-inactive]'),
   vmCount: document.querySelector('[data-vm-count]'),
   errorScreen: document.querySelector('[data-error-screen]'),
-  errorScreenMessage: document.querySelector('[data-error-screen-message]')
+  errorScreenMessage: document.querySelector('[data-error-screen-message]'),
+  errorScreenTitle: document.querySelector('[data-error-screen-title]'),
+  sparklines: document.querySelectorAll('[data-sparkline]'),
+  sparklineTooltip: document.querySelector('[data-sparkline-tooltip]')
 };
 
 const settingsElements = {
@@ -51,9 +91,19 @@ const settingsElements = {
   form: document.getElementById('settings-form'),
   message: document.querySelector('[data-settings-message]'),
   passwordStatus: document.querySelector('[data-password-status]'),
+  secretStorageWarning: document.querySelector('[data-secret-storage-warning]'),
   openButton: document.getElementById('open-settings'),
   closeButton: document.getElementById('settings-close'),
   cancelButton: document.getElementById('settings-cancel'),
+  removeServer: document.getElementById('settings-remove-server'),
+  name: document.getElementById('settings-name'),
+  hostKeyPrompt: document.querySelector('[data-hostkey-prompt]'),
+  hostKeyPromptTitle: document.querySelector('[data-hostkey-prompt-title]'),
+  hostKeyPromptFingerprint: document.querySelector('[data-hostkey-prompt-fingerprint]'),
+  hostKeyTrust: document.getElementById('hostkey-trust'),
+  hostKeyDismiss: document.getElementById('hostkey-dismiss'),
+  hostKeyPinned: document.querySelector('[data-hostkey-pinned]'),
+  forgetHostKey: document.getElementById('settings-forget-hostkey'),
   host: document.getElementById('settings-host'),
   port: document.getElementById('settings-port'),
   username: document.getElementById('settings-username'),
@@ -70,70 +120,86 @@ const settingsElements = {
   errorRetry: document.getElementById('error-retry-btn'),
   errorSettings: document.getElementById('error-settings-btn'),
   transport: document.getElementById('settings-transport'),
-  wsUrl: document.getElementById('settings-ws-url')
+  wsUrl: document.getElementById('settings-ws-url'),
+  wsToken: document.getElementById('settings-ws-token'),
+  wsCertFingerprint: document.getElementById('settings-ws-fingerprint'),
+  wsFallbackSeconds: document.getElementById('settings-ws-fallback'),
+  alertsEnabled: document.getElementById('settings-alerts-enabled'),
+  alertCpu: document.getElementById('settings-alert-cpu'),
+  alertMemory: document.getElementById('settings-alert-memory'),
+  alertArray: document.getElementById('settings-alert-array'),
+  alertDiskTemp: document.getElementById('settings-alert-disk-temp'),
+  alertSustain: document.getElementById('settings-alert-sustain'),
+  alertHysteresis: document.getElementById('settings-alert-hysteresis'),
+  alertContainers: document.getElementById('settings-alert-containers'),
+  alertVms: document.getElementById('settings-alert-vms'),
+  alertParity: document.getElementById('settings-alert-parity')
+};
+
+const PARITY_ACTION_LABELS = {
+  check: 'Parity check',
+  'parity-sync': 'Parity sync',
+  rebuild: 'Rebuild',
+  clear: 'Clearing'
+};
+
+// Drive temperature thresholds (°C) for the disk grid; SSDs run hotter than spinners
+const DISK_TEMP_LIMITS = {
+  hdd: { warm: 45, hot: 50 },
+  ssd: { warm: 60, hot: 70 }
 };
 
+// History series drawn in the stat cards, keyed by each card's data-sparkline attribute
+const SPARKLINE_SERIES = {
+  cpu: { label: 'CPU', unit: '%', max: 100 },
+  memory: { label: 'Memory', unit: '%', max: 100 },
+  array: { label: 'Array', unit: '%', max: 100 },
+  netRx: { label: 'Inbound', unit: 'Mbps' },
+  netTx: { label: 'Outbound', unit: 'Mbps' }
+};
+
+const HISTORY_HOUR_MS = 60 * 60_000;
+const HISTORY_DAY_MS = 24 * HISTORY_HOUR_MS;
+
+// How long a destructive action button stays armed waiting for the confirming click
+const CONFIRM_WINDOW_MS = 3000;
+// Value of the switcher entry that creates a new profile
+const ADD_SERVER_OPTION = '__add__';
+
 const dragState = {
   fromName: null
 };
 
 document.addEventListener('DOMContentLoaded', async () => {
   elements.refreshButton?.addEventListener('click', () => {
+    if (state.view === 'fleet') {
+      refreshFleet(true);
+      return;
+    }
     stopCountdown();
     refreshStats(true);
   });
+  elements.fleetButton?.addEventListener('click', () => {
+    setView(state.view === 'fleet' ? 'server' : 'fleet');
+  });
   setupSettingsControls();
+  setupServerSwitcher();
+  window.companion.onConnectionState(handleConnectionState);
+  window.companion.onStats(handleStatsUpdate);
   setupDockerReorder();
+  elements.sparklines.forEach((node) => attachSparklineHover(node));
   await hydrateConfig();
   refreshStats();
 });
 
-function connectWebSocket() {
-  if (!state.wsUrl) return;
-  if (state.ws) {
-    try {
-      state.ws.close();
-    } catch (_) {}
-    state.ws = null;
-  }
-
-  try {
-    const ws = new WebSocket(state.wsUrl);
-    state.ws = ws;
-
-    ws.onopen = () => {
-      hideError();
-    };
-
-    ws.onmessage = (event) => {
-      try {
-        const snapshot = JSON.parse(event.data);
-        renderFromSnapshot(snapshot);
-      } catch (err) {
-        console.error('Bad WS payload', err);
-      }
-    };
-
-    ws.onerror = (err) => {
-      console.error('WebSocket error', err);
-      showError('WebSocket connection error.');
-    };
-
-    ws.onclose = () => {
-      state.ws = null;
-      if (state.transport === 'ws' && state.wsUrl) {
-        setTimeout(connectWebSocket, 5000);
-      }
-    };
-  } catch (err) {
-    console.error('Failed to open WebSocket', err);
-    showError('Unable to open WebSocket.');
-  }
-}
-
 async function hydrateConfig() {
   try {
     const config = await window.companion.getConfig();
+    renderServerSwitcher(config?.servers || [], config?.activeServerId);
+    if (state.serverId !== config?.activeServerId) {
+      state.serverId = config?.activeServerId || null;
+      clearDashboard();
+    }
     if (config?.host) {
       elements.host.textContent = config.hostname || config.host;
     } else {
@@ -151,62 +217,318 @@ async function hydrateConfig() {
     state.dockerOrder = Array.isArray(config?.dockerOrder)
       ? config.dockerOrder
       : undefined;
-    state.transport = config?.transport || 'ssh';
     state.wsUrl = config?.wsUrl || null;
+    selectServerHistory(state.serverId, (config?.transport || 'ssh') === 'ssh' ? config?.host : state.wsUrl);
     state.dashboardUrl = buildDashboardUrl(config);
     setDashboardLink(state.dashboardUrl);
     renderNetwork(null); // reset display until stats arrive
     setSectionVisibility(elements.dockerSection, state.showDockers);
     setSectionVisibility(elements.vmSection, state.showVms);
 
-    // Transport-specific wiring:
-    if (state.transport === 'ws' && state.wsUrl) {
-      // In WebSocket mode the stream drives updates; no polling / countdown needed.
-      connectWebSocket();
-      if (state.refreshTimer) {
-        clearInterval(state.refreshTimer);
-        state.refreshTimer = null;
-      }
-      stopCountdown(true);
+    const connection = await window.companion.getConnectionState();
+    applyActiveTransport(connection?.transport || 'ssh');
+    handleConnectionState(connection);
+  } catch (error) {
+    showError(error.message || 'Unable to load config.');
+  }
+}
+
+// State of the active server's connection in the main process (SSH session or WS stream).
+// A WS stream has no refresh call that could fail, so its errors are shown from here.
+function handleConnectionState(connection) {
+  if (!connection || connection.serverId !== state.serverId) return;
+  renderConnectionState(connection);
+  if (connection.transport !== state.transport) {
+    // "ws-ssh" fell back to SSH, or the WS server is back
+    applyActiveTransport(connection.transport);
+    if (connection.transport === 'ssh') {
+      refreshStats(true);
+    }
+  }
+  if (connection.transport !== 'ws') return;
+  if (connection.state === 'connected') {
+    hideError();
+    backfillHistory();
+  } else if (connection.error && ['reconnecting', 'failed'].includes(connection.state)) {
+    showError(connection.error);
+  }
+}
+
+// Transport-specific wiring
+function applyActiveTransport(transport) {
+  state.transport = transport;
+  if (transport === 'ws') {
+    // In WebSocket mode the main process streams updates; no polling / countdown needed.
+    if (state.refreshTimer) {
+      clearInterval(state.refreshTimer);
+      state.refreshTimer = null;
+    }
+    stopCountdown(true);
+  } else {
+    // SSH mode – keep existing auto-refresh + countdown behaviour.
+    startAutoRefresh();
+  }
+}
+
+function renderConnectionState(connection) {
+  const node = elements.connectionState;
+  if (!node) return;
+  const fallback = connection.mode === 'ws-ssh' && connection.transport === 'ssh';
+  const name = connection.transport === 'ws' ? 'WebSocket' : fallback ? 'SSH fallback' : 'SSH';
+  const labels = {
+    connecting: `${name} connecting…`,
+    connected: `${name} connected`,
+    reconnecting: connection.retryAt
+      ? `${name} reconnecting at ${new Date(connection.retryAt).toLocaleTimeString()}`
+      : `${name} reconnecting…`,
+    failed: `${name} disconnected`
+  };
+  const label = labels[connection.state];
+  node.textContent = label || '';
+  // While falling back, the tooltip says why the WS server isn't used
+  const reason = fallback && connection.fallbackReason ? `WebSocket: ${connection.fallbackReason}` : '';
+  node.title = connection.error || reason;
+  node.dataset.state = connection.state;
+  node.dataset.fallback = String(fallback);
+  node.classList.toggle('hidden', !label);
+}
+
+function setupServerSwitcher() {
+  elements.serverSwitcher?.addEventListener('change', handleServerSwitch);
+  // Switches made from the tray menu or an alert notification
+  window.companion.onServersChanged(async () => {
+    await hydrateConfig();
+    refreshStats();
+  });
+}
+
+function renderServerSwitcher(servers, activeServerId) {
+  const select = elements.serverSwitcher;
+  if (!select) return;
+  select.replaceChildren(
+    ...servers.map((server) => new Option(server.name, server.id)),
+    new Option('Add server…', ADD_SERVER_OPTION)
+  );
+  select.value = activeServerId;
+  settingsElements.removeServer?.classList.toggle('hidden', servers.length < 2);
+
+  const ids = new Set(servers.map((server) => server.id));
+  Array.from(historyByServer.keys())
+    .filter((id) => !ids.has(id))
+    .forEach((id) => historyByServer.delete(id));
+}
+
+async function handleServerSwitch() {
+  const select = elements.serverSwitcher;
+  const adding = select.value === ADD_SERVER_OPTION;
+  try {
+    const result = adding
+      ? await window.companion.addServer()
+      : await window.companion.switchServer(select.value);
+    if (!result?.success) {
+      throw new Error(result?.message || 'Unable to switch server.');
+    }
+    await hydrateConfig();
+    if (adding) {
+      openSettingsPanel();
     } else {
-      // SSH mode – keep existing auto-refresh + countdown behaviour.
-      startAutoRefresh();
+      refreshStats();
     }
   } catch (error) {
-    showError(error.message || 'Unable to load config.');
+    select.value = state.serverId;
+    showError(error.message || 'Unable to switch server.');
   }
 }
 
-async function refreshStats(force = false) {
+// The active server keeps refreshing underneath the fleet view, so alerts and its charts
+// don't miss anything while it's open.
+function setView(view) {
+  state.view = view;
+  const fleet = view === 'fleet';
+  document.body.classList.toggle('fleet-view', fleet);
+  elements.fleetButton?.setAttribute('aria-pressed', String(fleet));
+  if (elements.fleetButton) {
+    elements.fleetButton.textContent = fleet ? 'Details' : 'Fleet';
+  }
+
+  clearInterval(state.fleetTimer);
+  state.fleetTimer = null;
+  if (fleet) {
+    refreshFleet(false);
+    state.fleetTimer = setInterval(() => refreshFleet(false), Math.max(state.refreshInterval, 5) * 1000);
+  }
+}
+
+async function refreshFleet(force = false) {
   try {
-    if (state.transport === 'ws') {
-      // WebSocket stream drives updates; manual "refresh" just retries the connection if needed.
-      hideError();
-      if (!state.ws && state.wsUrl) {
-        connectWebSocket();
+    toggleLoading(true);
+    const result = await window.companion.fetchFleet({ force });
+    if (state.view === 'fleet') {
+      renderFleet(result);
+    }
+  } catch (error) {
+    showBanner(error.message || 'Unable to load servers.');
+  } finally {
+    toggleLoading(false);
+  }
+}
+
+function renderFleet({ servers = [], activeServerId } = {}) {
+  if (!elements.fleetList) return;
+  if (!servers.length) {
+    elements.fleetList.innerHTML = '<li class="fleet-list__empty">No servers configured.</li>';
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  servers.forEach((row) => {
+    const item = document.createElement('li');
+    item.appendChild(buildFleetRow(row, row.id === activeServerId));
+    fragment.appendChild(item);
+  });
+  elements.fleetList.replaceChildren(fragment);
+
+  if (elements.fleetCount) {
+    const reachable = servers.filter((row) => row.reachable).length;
+    elements.fleetCount.textContent = `${reachable} / ${servers.length} reachable`;
+  }
+}
+
+function buildFleetRow(row, isActive) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'fleet-row';
+  button.classList.toggle('fleet-row--active', isActive);
+  button.classList.toggle('fleet-row--down', row.configured && !row.reachable && Boolean(row.error));
+  button.addEventListener('click', () => openFleetServer(row.id));
+
+  const status = document.createElement('span');
+  status.className = 'status-pill';
+  if (row.reachable) {
+    status.classList.add(row.alerts.length ? 'status-pill--down' : 'status-pill--up');
+  } else {
+    status.classList.add(row.error ? 'status-pill--down' : 'status-pill--idle');
+  }
+  button.appendChild(status);
+
+  const name = document.createElement('span');
+  name.className = 'fleet-row__name';
+  name.textContent = row.name;
+  const note = document.createElement('span');
+  note.className = 'fleet-row__note';
+  if (!row.configured) {
+    note.textContent = 'Not configured';
+  } else if (row.error) {
+    note.textContent = `Unreachable: ${row.error}`;
+    note.classList.add('fleet-row__note--alert');
+  } else if (row.alerts.length) {
+    note.textContent = `⚠ ${row.alerts.join(', ')}`;
+    note.classList.add('fleet-row__note--alert');
+  } else {
+    note.textContent = `${row.hostname || row.transport.toUpperCase()}${row.reachable ? '' : ' · waiting for data'}`;
+  }
+  note.title = note.textContent;
+  name.appendChild(note);
+  button.appendChild(name);
+
+  const percent = (value) => (Number.isFinite(value) ? `${value.toFixed(1)} %` : '--');
+  const containers = Number.isFinite(row.containersRunning)
+    ? `${row.containersRunning}${row.containersTotal > row.containersRunning ? ` / ${row.containersTotal}` : ''}`
+    : '--';
+  [
+    ['CPU', percent(row.cpuPercent)],
+    ['Memory', percent(row.memoryPercent)],
+    ['Array', percent(row.arrayPercent)],
+    ['Running', containers]
+  ].forEach(([label, value]) => {
+    const metric = document.createElement('span');
+    metric.className = 'fleet-row__metric';
+    const caption = document.createElement('small');
+    caption.textContent = label;
+    metric.append(caption, value);
+    button.appendChild(metric);
+  });
+  return button;
+}
+
+// Click-through from the fleet into that server's detailed dashboard
+async function openFleetServer(id) {
+  try {
+    if (id !== state.serverId) {
+      const result = await window.companion.switchServer(id);
+      if (!result?.success) {
+        throw new Error(result?.message || 'Unable to switch server.');
       }
-      return;
+      await hydrateConfig();
     }
+    setView('server');
+    refreshStats();
+  } catch (error) {
+    showBanner(error.message || 'Unable to switch server.');
+  }
+}
 
-    toggleLoading(true);
+// Placeholders until the newly selected server reports in
+function clearDashboard() {
+  elements.cpuValue.textContent = '-- %';
+  elements.cpuBar.style.width = '0%';
+  elements.memValue.textContent = '-- %';
+  elements.memBar.style.width = '0%';
+  elements.memMeta.textContent = '-- / -- GB';
+  elements.arrayValue.textContent = '-- %';
+  elements.arrayBar.style.width = '0%';
+  elements.arrayMeta.textContent = '-- / -- TB';
+  elements.updated.textContent = 'Waiting for first refresh…';
+  if (elements.uptimeTop) {
+    elements.uptimeTop.textContent = 'Uptime --';
+  }
+  state.pendingContainerActions.clear();
+  state.pendingVmActions.clear();
+  hideError();
+  renderParity(null);
+  renderDisks([]);
+  renderContainers([]);
+  renderVmList([]);
+}
+
+// Asks the main process for fresh stats; they arrive through handleStatsUpdate(). Over WS this
+// only retries a dropped stream, since the server pushes on its own.
+async function refreshStats(force = false) {
+  const serverId = state.serverId;
+  const polled = state.transport !== 'ws';
+  try {
+    if (polled) {
+      toggleLoading(true);
+    }
     hideError();
-    const payload = await window.companion.fetchStats({ force });
-    renderStats(payload.stats, payload.cached);
+    await window.companion.fetchStats({ force });
     if (state.refreshTimer) {
       scheduleCountdown();
     }
   } catch (error) {
+    if (serverId !== state.serverId) return; // switched servers while this was in flight
     showError(error.message || 'Failed to fetch stats.');
   } finally {
-    if (state.transport !== 'ws') {
+    if (polled) {
       toggleLoading(false);
     }
   }
 }
 
+function handleStatsUpdate({ serverId, stats, cached }) {
+  if (serverId !== state.serverId) return; // a late result for the server we switched away from
+  renderStats(stats, cached);
+}
+
 function renderStats(stats, cached) {
   if (!stats) return;
 
+  // A cached result is a sample we already have
+  if (!cached) {
+    recordHistory(stats);
+  }
+  renderSparklines();
+
   if (Number.isFinite(stats.cpuPercent)) {
     elements.cpuValue.textContent = `${stats.cpuPercent.toFixed(1)} %`;
     elements.cpuBar.style.width = `${Math.min(Math.max(stats.cpuPercent, 0), 100)}%`;
@@ -239,6 +561,8 @@ function renderStats(stats, cached) {
     elements.arrayMeta.textContent = `${stats.arrayUsage.usedTb?.toFixed(2) ?? '--'} / ${stats.arrayUsage.totalTb?.toFixed(2) ?? '--'} TB`;
   }
 
+  renderParity(stats.parity);
+
   if (stats.uptimeHuman && elements.uptimeTop) {
     elements.uptimeTop.textContent = `Uptime ${stats.uptimeHuman}`;
   }
@@ -255,52 +579,11 @@ function renderStats(stats, cached) {
   }
 
   renderNetwork(stats.network);
+  renderDisks(stats.disks);
   renderContainers(stats.containers);
   renderVmList(stats.vms);
 }
 
-function renderFromSnapshot(snapshot) {
-  if (!snapshot) return;
-  const host = snapshot.host || {};
-  const networkRaw = snapshot.network || null;
-  const network = networkRaw
-    ? {
-        ...networkRaw,
-        rxRateMbps:
-          Number.isFinite(networkRaw.rxRateMbps) && networkRaw.rxRateMbps >= 0
-            ? networkRaw.rxRateMbps
-            : Number.isFinite(networkRaw.rxMbps) && networkRaw.rxMbps >= 0
-              ? networkRaw.rxMbps
-              : null,
-        txRateMbps:
-          Number.isFinite(networkRaw.txRateMbps) && networkRaw.txRateMbps >= 0
-            ? networkRaw.txRateMbps
-            : Number.isFinite(networkRaw.txMbps) && networkRaw.txMbps >= 0
-              ? networkRaw.txMbps
-              : null
-      }
-    : null;
-  const containers = snapshot.containers || [];
-  const vms = snapshot.vms || [];
-  const arrayUsage = snapshot.arrayUsage || null;
-
-  const stats = {
-    cpuPercent: Number.isFinite(host.cpuPercent) ? host.cpuPercent : null,
-    uptimeSeconds: host.uptimeSeconds || 0,
-    uptimeHuman: formatDuration(host.uptimeSeconds || 0),
-    // Use memory object from WS payload as-is; renderStats is defensive about its fields.
-    memory: host.memory || null,
-    arrayUsage,
-    containers,
-    vms,
-    network,
-    hostname: host.hostname || null,
-    fetchedAt: snapshot.ts || new Date().toISOString()
-  };
-
-  renderStats(stats, false);
-}
-
 function startAutoRefresh() {
   if (state.refreshTimer) {
     clearInterval(state.refreshTimer);
@@ -337,12 +620,23 @@ function showError(message) {
   }
 }
 
+// Banner only: for failures that don't mean the server is unreachable (e.g. a rejected action).
+function showBanner(message) {
+  if (!elements.error) return;
+  elements.error.classList.remove('hidden');
+  elements.error.textContent = message;
+}
+
 function hideError() {
   if (elements.error) {
     elements.error.classList.add('hidden');
   }
   if (elements.errorScreen) {
     elements.errorScreen.classList.add('hidden');
+    elements.errorScreen.classList.remove('error-screen--danger');
+  }
+  if (elements.errorScreenTitle) {
+    elements.errorScreenTitle.textContent = 'We can’t reach your Unraid server';
   }
 }
 
@@ -351,7 +645,135 @@ function clamp(value, min = 0, max = 100) {
   return Math.min(Math.max(value, min), max);
 }
 
+function renderParity(parity) {
+  if (!elements.parityValue) return;
+
+  if (!parity) {
+    elements.parityTitle.textContent = 'Parity';
+    elements.parityValue.textContent = '--';
+    elements.parityBar.style.width = '0%';
+    elements.parityMeta.textContent = 'No array info';
+    return;
+  }
+
+  if (parity.running) {
+    const percent = clamp(parity.percent);
+    elements.parityTitle.textContent = PARITY_ACTION_LABELS[parity.action] || 'Parity';
+    elements.parityValue.textContent = `${percent.toFixed(1)} %`;
+    elements.parityBar.style.width = `${percent}%`;
+    const parts = [];
+    if (Number.isFinite(parity.speedBytesPerSec)) {
+      parts.push(`${(parity.speedBytesPerSec / 1e6).toFixed(0)} MB/s`);
+    }
+    if (Number.isFinite(parity.etaSeconds)) {
+      parts.push(`ETA ${formatDuration(parity.etaSeconds)}`);
+    }
+    parts.push(`${parity.syncErrors} errors`);
+    elements.parityMeta.textContent = parts.join(' · ');
+    return;
+  }
+
+  const last = parity.lastCheck;
+  elements.parityTitle.textContent = 'Parity';
+  elements.parityValue.textContent = last && last.errors > 0 ? `${last.errors} errors` : 'Idle';
+  elements.parityBar.style.width = '0%';
+  if (last) {
+    const finished = new Date(last.finishedAt);
+    const when = Number.isNaN(finished.getTime()) ? '--' : finished.toLocaleDateString();
+    const outcome = Number.isFinite(last.exitCode) && last.exitCode < 0 ? 'aborted' : `${last.errors} errors`;
+    elements.parityMeta.textContent = `Last ${when} · ${outcome}`;
+  } else {
+    elements.parityMeta.textContent = 'No check on record';
+  }
+}
+
+function renderDisks(disks = []) {
+  if (!elements.diskGrid) return;
+  // Hidden entirely on hosts without Unraid's disks.ini (nothing useful to show)
+  if (!Array.isArray(disks) || disks.length === 0) {
+    elements.diskSection?.classList.add('hidden');
+    return;
+  }
+  elements.diskSection?.classList.remove('hidden');
+
+  const fragment = document.createDocumentFragment();
+  disks.forEach((disk) => {
+    const item = document.createElement('li');
+    item.className = `disk-card disk-card--${disk.role || 'data'}`;
+    item.title = [disk.model, disk.device, disk.fsType].filter(Boolean).join(' · ');
+
+    const header = document.createElement('div');
+    header.className = 'disk-card__header';
+    const name = document.createElement('span');
+    name.className = 'disk-card__name';
+    name.textContent = formatDiskName(disk);
+    const role = document.createElement('span');
+    role.className = 'disk-card__role';
+    role.textContent = disk.role || '';
+    header.appendChild(name);
+    header.appendChild(role);
+
+    const usage = document.createElement('p');
+    usage.className = 'disk-card__meta';
+    if (Number.isFinite(disk.usedPercent)) {
+      usage.textContent = `${formatBytes(disk.usedBytes)} / ${formatBytes(disk.sizeBytes)}`;
+    } else {
+      usage.textContent = formatBytes(disk.sizeBytes);
+    }
+
+    const progress = document.createElement('div');
+    progress.className = 'progress';
+    const fill = document.createElement('div');
+    fill.className = 'progress__fill';
+    fill.style.width = `${Number.isFinite(disk.usedPercent) ? clamp(disk.usedPercent) : 0}%`;
+    progress.appendChild(fill);
+
+    const temp = document.createElement('p');
+    temp.className = `disk-card__temp disk-card__temp--${classifyDiskTemp(disk)}`;
+    temp.textContent = disk.spunDown
+      ? 'Spun down'
+      : Number.isFinite(disk.tempC)
+        ? `${disk.tempC} °C`
+        : '-- °C';
+
+    const pill = document.createElement('span');
+    pill.className = `status-pill ${disk.spunDown ? 'status-pill--idle' : 'status-pill--up'}`;
+
+    item.appendChild(header);
+    item.appendChild(progress);
+    item.appendChild(usage);
+    item.appendChild(temp);
+    item.appendChild(pill);
+    fragment.appendChild(item);
+  });
+
+  elements.diskGrid.innerHTML = '';
+  elements.diskGrid.appendChild(fragment);
+
+  if (elements.diskCount) {
+    const spunDown = disks.filter((disk) => disk.spunDown).length;
+    elements.diskCount.textContent = `${disks.length} disks · ${spunDown} spun down`;
+  }
+}
+
+function formatDiskName(disk) {
+  const match = /^disk(\d+)$/.exec(disk.name || '');
+  if (match) return `Disk ${match[1]}`;
+  if (disk.name === 'parity') return 'Parity';
+  if (disk.name === 'parity2') return 'Parity 2';
+  return disk.name || 'Disk';
+}
+
+function classifyDiskTemp(disk) {
+  if (disk.spunDown || !Number.isFinite(disk.tempC)) return 'idle';
+  const limits = disk.rotational === false ? DISK_TEMP_LIMITS.ssd : DISK_TEMP_LIMITS.hdd;
+  if (disk.tempC >= limits.hot) return 'hot';
+  if (disk.tempC >= limits.warm) return 'warm';
+  return 'ok';
+}
+
 function renderContainers(containers = []) {
+  state.lastContainers = containers;
   if (!state.showDockers) {
     setSectionVisibility(elements.dockerSection, false);
     return;
@@ -456,12 +878,16 @@ function renderContainerList(target, items, allowLinks) {
       button.appendChild(meta);
     }
 
-    const statusPill = buildStatusPill(container.running);
+    const statusPill = buildStatusPill(container.running && !container.paused);
 
     button.appendChild(iconWrap);
     button.appendChild(label);
     button.appendChild(statusPill);
     item.appendChild(button);
+    if (container.running && container.metrics) {
+      item.appendChild(buildContainerSparkline(container));
+    }
+    item.appendChild(buildContainerActions(container));
     fragment.appendChild(item);
   });
 
@@ -469,7 +895,145 @@ function renderContainerList(target, items, allowLinks) {
   target.appendChild(fragment);
 }
 
+function buildContainerActions(container) {
+  const actions = [];
+  if (!container.running) {
+    actions.push({ action: 'start', label: 'Start' });
+  } else {
+    if (container.paused) {
+      actions.push({ action: 'unpause', label: 'Resume' });
+    } else {
+      actions.push({ action: 'pause', label: 'Pause' });
+    }
+    actions.push({ action: 'restart', label: 'Restart' });
+    actions.push({ action: 'stop', label: 'Stop', confirm: true });
+  }
+
+  return buildActionBar(
+    actions,
+    state.pendingContainerActions.get(container.id),
+    (action) => runContainerAction(container, action)
+  );
+}
+
+function buildVmActions(vm) {
+  const actions = [];
+  if (vm.paused) {
+    actions.push({ action: 'resume', label: 'Resume' });
+    actions.push({ action: 'destroy', label: 'Force off', confirm: true });
+  } else if (vm.running) {
+    actions.push({ action: 'suspend', label: 'Pause' });
+    actions.push({ action: 'shutdown', label: 'Shut down', confirm: true });
+    actions.push({ action: 'destroy', label: 'Force off', confirm: true });
+  } else {
+    actions.push({ action: 'start', label: 'Start' });
+  }
+
+  return buildActionBar(actions, state.pendingVmActions.get(vm.name), (action) =>
+    runVmAction(vm, action)
+  );
+}
+
+function buildActionBar(actions, pendingAction, onAction) {
+  const bar = document.createElement('div');
+  bar.className = 'item-actions';
+
+  if (pendingAction) {
+    const busy = document.createElement('span');
+    busy.className = 'item-actions__busy';
+    busy.textContent = `${capitalize(pendingAction)}…`;
+    bar.appendChild(busy);
+    return bar;
+  }
+
+  actions.forEach(({ action, label, confirm }) => {
+    bar.appendChild(buildActionButton(label, confirm, () => onAction(action)));
+  });
+  return bar;
+}
+
+function buildActionButton(label, needsConfirm, onRun) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'item-actions__button';
+  if (needsConfirm) {
+    button.classList.add('item-actions__button--danger');
+  }
+  button.textContent = label;
+
+  let armedTimer = null;
+  button.addEventListener('click', (event) => {
+    event.stopPropagation();
+    if (!needsConfirm || armedTimer) {
+      clearTimeout(armedTimer);
+      armedTimer = null;
+      onRun();
+      return;
+    }
+    // First click arms the button; a second click within the window confirms.
+    button.textContent = `Confirm ${label.toLowerCase()}?`;
+    button.classList.add('item-actions__button--armed');
+    armedTimer = setTimeout(() => {
+      armedTimer = null;
+      button.textContent = label;
+      button.classList.remove('item-actions__button--armed');
+    }, CONFIRM_WINDOW_MS);
+  });
+  return button;
+}
+
+function runContainerAction(container, action) {
+  if (!container?.id) return;
+  return runRemoteAction({
+    pending: state.pendingContainerActions,
+    key: container.id,
+    action,
+    label: container.name || 'container',
+    rerender: () => renderContainers(state.lastContainers),
+    send: () => window.companion.containerAction(container.id, action)
+  });
+}
+
+function runVmAction(vm, action) {
+  if (!vm?.name) return;
+  return runRemoteAction({
+    pending: state.pendingVmActions,
+    key: vm.name,
+    action,
+    label: vm.name,
+    rerender: () => renderVmList(state.lastVms),
+    send: () => window.companion.vmAction(vm.name, action)
+  });
+}
+
+async function runRemoteAction({ pending, key, action, label, rerender, send }) {
+  if (pending.has(key)) return;
+  pending.set(key, action);
+  rerender();
+
+  try {
+    const result = await send();
+    if (!result?.success) {
+      throw new Error(result?.message || `Failed to ${action} ${label}.`);
+    }
+  } catch (error) {
+    pending.delete(key);
+    rerender();
+    showBanner(error.message || `Failed to ${action} ${label}.`);
+    return;
+  }
+
+  pending.delete(key);
+  if (state.transport === 'ws') {
+    // The server pushes the updated state on its next tick.
+    rerender();
+  } else {
+    await refreshStats(true);
+  }
+}
+
 function renderVmList(vms = []) {
+  state.lastVms = vms;
   if (!state.showVms) {
     setSectionVisibility(elements.vmSection, false);
     return;
@@ -513,6 +1077,9 @@ function renderVmListSection(target, items) {
     name.textContent = vm.name || 'Unnamed VM';
     const pill = buildStatusPill(vm.running);
     item.appendChild(name);
+    if (vm.name) {
+      item.appendChild(buildVmActions(vm));
+    }
     item.appendChild(pill);
     fragment.appendChild(item);
   });
@@ -551,9 +1118,213 @@ function applyDockerOrder(containers = []) {
     });
 }
 
+// Stats -> the compact sample shape the WS server's history:get returns
+function recordHistory(stats) {
+  const fetched = stats.fetchedAt ? new Date(stats.fetchedAt).getTime() : NaN;
+  const containers = {};
+  (stats.containers || []).forEach((container) => {
+    const metrics = container.metrics;
+    if (!metrics || !container.running) return;
+    containers[container.name || container.id] = {
+      cpu: metrics.cpuPercent,
+      mem: metrics.memPercent,
+      rx: metrics.netRxMbps,
+      tx: metrics.netTxMbps
+    };
+  });
+
+  const sample = {
+    t: Number.isFinite(fetched) ? fetched : Date.now(),
+    cpu: stats.cpuPercent,
+    mem: stats.memory?.usedPercent,
+    array: stats.arrayUsage?.usedPercent,
+    rx: stats.network?.rxMbps,
+    tx: stats.network?.txMbps,
+    containers
+  };
+
+  if (state.historyBackfillQueue) {
+    state.historyBackfillQueue.push(sample);
+  } else {
+    recordHistorySample(sample);
+  }
+}
+
+function recordHistorySample(sample, history = metricsHistory) {
+  const { t } = sample;
+  history.record('cpu', t, sample.cpu);
+  history.record('memory', t, sample.mem);
+  history.record('array', t, sample.array);
+  history.record('netRx', t, sample.rx);
+  history.record('netTx', t, sample.tx);
+  Object.entries(sample.containers || {}).forEach(([name, metrics]) => {
+    history.record(`container:${name}:cpu`, t, metrics.cpu);
+    history.record(`container:${name}:mem`, t, metrics.mem);
+    history.record(`container:${name}:rx`, t, metrics.rx);
+    history.record(`container:${name}:tx`, t, metrics.tx);
+  });
+}
+
+// Points the charts at the server's history; a profile now pointing elsewhere starts over
+function selectServerHistory(serverId, source) {
+  let entry = historyByServer.get(serverId);
+  if (!entry) {
+    entry = { history: createMetricsHistory(), source };
+    historyByServer.set(serverId, entry);
+  } else if (entry.source !== source) {
+    entry.history.clear();
+    entry.source = source;
+  }
+  metricsHistory = entry.history;
+  renderSparklines();
+}
+
+// After (re)connecting, fill the gap since our last sample from the server's history:
+// per-minute averages for anything older than an hour, every tick for the last hour.
+async function backfillHistory() {
+  if (state.historyBackfillQueue) return;
+  state.historyBackfillQueue = [];
+  const history = metricsHistory;
+
+  const now = Date.now();
+  const since = Math.max((metricsHistory.lastTime('cpu') ?? 0) + 1, now - HISTORY_DAY_MS);
+  const hourAgo = now - HISTORY_HOUR_MS;
+  const requests = [];
+  if (since < hourAgo) {
+    requests.push({ since, until: hourAgo, resolutionMs: 60_000 });
+  }
+  requests.push({ since: Math.max(since, hourAgo), resolutionMs: 0 });
+
+  try {
+    for (const request of requests) {
+      const result = await window.companion.fetchHistory(request);
+      if (!result?.success) {
+        // Older servers don't keep history; live samples still fill the charts
+        throw new Error(result?.message || 'History request failed.');
+      }
+      (result.samples || []).forEach((sample) => recordHistorySample(sample, history));
+    }
+  } catch (error) {
+    console.warn('History backfill skipped:', error.message);
+  } finally {
+    const queued = state.historyBackfillQueue;
+    state.historyBackfillQueue = null;
+    queued.forEach((sample) => recordHistorySample(sample, history));
+    renderSparklines();
+  }
+}
+
+function renderSparklines() {
+  elements.sparklines.forEach((node) => {
+    const key = node.dataset.sparkline;
+    const series = SPARKLINE_SERIES[key];
+    if (!series) return;
+    drawSparkline(node, metricsHistory.points(key, state.historyRange), series);
+  });
+}
+
+function buildContainerSparkline(container) {
+  const name = container.name || container.id;
+  const node = document.createElement('div');
+  node.className = 'sparkline sparkline--container';
+  attachSparklineHover(node);
+  drawSparkline(node, metricsHistory.points(`container:${name}:cpu`, state.historyRange), {
+    label: `${name} CPU`,
+    unit: '%'
+  });
+  return node;
+}
+
+// Draws an SVG polyline; gaps (disconnects, sleep) break the line instead of bridging it
+function drawSparkline(node, points, series) {
+  const now = Date.now();
+  const windowMs = state.historyRange === '24h' ? 24 * 60 * 60_000 : 60 * 60_000;
+  const start = now - windowMs;
+  const maxGapMs = Math.max(3 * 60_000, state.refreshInterval * 3000);
+  const values = points.map((point) => point.v);
+  const max = series.max ?? Math.max(1, ...values);
+
+  let path = '';
+  let previous = null;
+  points.forEach((point) => {
+    const x = (((point.t - start) / windowMs) * 100).toFixed(2);
+    const y = (30 - (Math.min(Math.max(point.v, 0), max) / max) * 28 - 1).toFixed(2);
+    const command = !previous || point.t - previous.t > maxGapMs ? 'M' : 'L';
+    path += `${command}${x} ${y} `;
+    previous = point;
+  });
+
+  node.innerHTML = path
+    ? `<svg viewBox="0 0 100 30" preserveAspectRatio="none" aria-hidden="true"><path d="${path.trim()}" /></svg>`
+    : '';
+  node.dataset.range = state.historyRange;
+  sparklineData.set(node, { points, series, start, windowMs });
+}
+
+function attachSparklineHover(node) {
+  node.title = 'Click to switch between the last hour and the last 24 hours';
+  node.addEventListener('mousemove', (event) => showSparklineTooltip(node, event));
+  node.addEventListener('mouseleave', hideSparklineTooltip);
+  node.addEventListener('click', (event) => {
+    event.stopPropagation();
+    state.historyRange = state.historyRange === '1h' ? '24h' : '1h';
+    renderSparklines();
+    if (state.lastContainers.length) renderContainers(state.lastContainers);
+    hideSparklineTooltip();
+  });
+}
+
+function showSparklineTooltip(node, event) {
+  const tooltip = elements.sparklineTooltip;
+  const data = sparklineData.get(node);
+  if (!tooltip || !data || !data.points.length) {
+    hideSparklineTooltip();
+    return;
+  }
+
+  const rect = node.getBoundingClientRect();
+  const ratio = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+  const target = data.start + ratio * data.windowMs;
+  const nearest = findNearestPoint(data.points, target);
+  const when = new Date(nearest.t);
+  const time =
+    state.historyRange === '24h'
+      ? when.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })
+      : when.toLocaleTimeString();
+  const digits = data.series.unit === 'Mbps' ? 2 : 1;
+  const average = state.historyRange === '24h' ? ' (1 min avg)' : '';
+
+  tooltip.textContent = `${data.series.label}: ${nearest.v.toFixed(digits)} ${data.series.unit} · ${time}${average}`;
+  tooltip.classList.remove('hidden');
+  const left = Math.min(event.clientX + 12, window.innerWidth - tooltip.offsetWidth - 8);
+  tooltip.style.left = `${Math.max(8, left)}px`;
+  tooltip.style.top = `${rect.top - tooltip.offsetHeight - 6}px`;
+}
+
+function hideSparklineTooltip() {
+  elements.sparklineTooltip?.classList.add('hidden');
+}
+
+// Points are time-ordered, so a binary search finds the closest sample
+function findNearestPoint(points, target) {
+  let low = 0;
+  let high = points.length - 1;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (points[mid].t < target) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  const before = points[Math.max(0, low - 1)];
+  const after = points[low];
+  return Math.abs(before.t - target) <= Math.abs(after.t - target) ? before : after;
+}
+
 function renderNetwork(network) {
-  const inbound = Number.isFinite(network?.rxRateMbps) ? network.rxRateMbps : null;
-  const outbound = Number.isFinite(network?.txRateMbps) ? network.txRateMbps : null;
+  const inbound = Number.isFinite(network?.rxMbps) ? network.rxMbps : null;
+  const outbound = Number.isFinite(network?.txMbps) ? network.txMbps : null;
   const iface = network?.interface || state.networkInterface || '--';
 
   if (elements.netIn) {
@@ -641,6 +1412,13 @@ function formatMbps(value) {
   return `${value.toFixed(2)} Mbps`;
 }
 
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes) || bytes < 0) return '--';
+  const tb = bytes / 1024 ** 4;
+  if (tb >= 1) return `${tb.toFixed(2)} TB`;
+  return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+}
+
 function formatDuration(seconds = 0) {
   const days = Math.floor(seconds / 86400);
   const hours = Math.floor((seconds % 86400) / 3600);
@@ -653,6 +1431,10 @@ function formatDuration(seconds = 0) {
   return parts.join(' ');
 }
 
+function capitalize(text = '') {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
 function setSectionVisibility(node, shouldShow) {
   if (!node) return;
   node.style.display = shouldShow ? '' : 'none';
@@ -668,6 +1450,14 @@ function setupSettingsControls() {
   settingsElements.openButton?.addEventListener('click', openSettingsPanel);
   settingsElements.closeButton?.addEventListener('click', closeSettingsPanel);
   settingsElements.cancelButton?.addEventListener('click', closeSettingsPanel);
+  settingsElements.removeServer?.addEventListener('click', handleRemoveServer);
+  settingsElements.hostKeyTrust?.addEventListener('click', handleTrustHostKey);
+  settingsElements.hostKeyDismiss?.addEventListener('click', () => {
+    state.dismissedHostKey = state.pendingHostKey?.fingerprint || null;
+    renderHostKeyPrompt();
+  });
+  settingsElements.forgetHostKey?.addEventListener('click', handleForgetHostKey);
+  window.companion.onHostKeyProblem(handleHostKeyProblem);
   settingsElements.transport?.addEventListener('change', updateSettingsVisibility);
   settingsElements.errorRetry?.addEventListener('click', () => {
     closeSettingsPanel();
@@ -755,6 +1545,7 @@ async function openSettingsPanel() {
     settingsElements.message.textContent = 'Loading current settings…';
     const editable = await window.companion.getEditableConfig();
     populateSettingsForm(editable);
+    renderHostKeyPrompt();
     settingsElements.overlay.classList.remove('hidden');
     settingsElements.overlay.setAttribute('aria-hidden', 'false');
     settingsElements.message.textContent = '';
@@ -774,6 +1565,7 @@ function closeSettingsPanel() {
 
 function populateSettingsForm(config = {}) {
   if (!settingsElements.form) return;
+  settingsElements.name.value = config.name ?? '';
   settingsElements.host.value = config.host ?? '';
   settingsElements.port.value = config.port ?? '';
   settingsElements.username.value = config.username ?? '';
@@ -798,25 +1590,190 @@ function populateSettingsForm(config = {}) {
   if (settingsElements.wsUrl) {
     settingsElements.wsUrl.value = config.wsUrl || '';
   }
+  if (settingsElements.wsToken) {
+    settingsElements.wsToken.value = config.wsToken || '';
+  }
+  if (settingsElements.wsCertFingerprint) {
+    settingsElements.wsCertFingerprint.value = config.wsCertFingerprint || '';
+  }
+  if (settingsElements.wsFallbackSeconds) {
+    settingsElements.wsFallbackSeconds.value = config.wsFallbackSeconds ?? '';
+  }
+  populateAlertSettings(config.alerts || {});
+  if (settingsElements.hostKeyPinned) {
+    settingsElements.hostKeyPinned.textContent = config.hostKey
+      ? `${config.hostKey.fingerprint} (${config.hostKey.keyType})`
+      : 'Not trusted yet';
+    settingsElements.forgetHostKey.classList.toggle('hidden', !config.hostKey);
+  }
   if (settingsElements.passwordStatus) {
     settingsElements.passwordStatus.textContent = config.passwordSet
       ? 'Stored password will remain unless changed or cleared.'
       : 'No password saved.';
   }
+  if (settingsElements.secretStorageWarning) {
+    const storage = config.secretStorage || { secure: true };
+    settingsElements.secretStorageWarning.classList.toggle('hidden', storage.secure);
+    settingsElements.secretStorageWarning.textContent = storage.secure
+      ? ''
+      : `${storage.reason} Passwords and access tokens are saved in plain text in config.json.`;
+  }
 
   updateSettingsVisibility();
 }
 
+function populateAlertSettings(alerts) {
+  if (!settingsElements.alertsEnabled) return;
+  settingsElements.alertsEnabled.checked = alerts.enabled !== false;
+  settingsElements.alertCpu.value = alerts.cpuPercent ?? '';
+  settingsElements.alertMemory.value = alerts.memoryPercent ?? '';
+  settingsElements.alertArray.value = alerts.arrayPercent ?? '';
+  settingsElements.alertDiskTemp.value = alerts.diskTempC ?? '';
+  settingsElements.alertSustain.value = alerts.sustainSeconds ?? '';
+  settingsElements.alertHysteresis.value = alerts.hysteresis ?? '';
+  settingsElements.alertContainers.checked = alerts.containerStopped !== false;
+  settingsElements.alertVms.checked = alerts.vmStateChange !== false;
+  settingsElements.alertParity.checked = alerts.parityErrors !== false;
+}
+
+// Empty threshold fields disable that rule
+function readAlertSettings(formData) {
+  const number = (name) => {
+    const raw = formData.get(name)?.toString().trim();
+    return raw ? Number(raw) : null;
+  };
+  return {
+    enabled: formData.has('alertsEnabled'),
+    cpuPercent: number('alertCpuPercent'),
+    memoryPercent: number('alertMemoryPercent'),
+    arrayPercent: number('alertArrayPercent'),
+    diskTempC: number('alertDiskTempC'),
+    sustainSeconds: number('alertSustainSeconds') ?? 0,
+    hysteresis: number('alertHysteresis') ?? 0,
+    containerStopped: formData.has('alertContainerStopped'),
+    vmStateChange: formData.has('alertVmStateChange'),
+    parityErrors: formData.has('alertParityErrors')
+  };
+}
+
+// The main process refuses any SSH host key that isn't pinned yet (or no longer matches) and
+// reports it here. Unknown keys get a prompt in Settings; a changed key is a hard stop.
+function handleHostKeyProblem(problem) {
+  if (!problem || problem.serverId !== state.serverId) return;
+
+  if (problem.kind === 'changed') {
+    if (elements.errorScreenTitle) {
+      elements.errorScreenTitle.textContent = 'The server’s identity has changed';
+    }
+    elements.errorScreen?.classList.add('error-screen--danger');
+    showError(
+      `${problem.hostId} now presents host key ${problem.fingerprint}, but ${problem.expected} was trusted. ` +
+        'The connection was refused because someone may be intercepting it. If you reinstalled the server, ' +
+        'forget the saved key in Settings and connect again.'
+    );
+    return;
+  }
+
+  state.pendingHostKey = problem;
+  if (state.dismissedHostKey === problem.fingerprint) return;
+  if (settingsElements.overlay?.classList.contains('hidden')) {
+    openSettingsPanel();
+  } else {
+    renderHostKeyPrompt();
+  }
+}
+
+function renderHostKeyPrompt() {
+  const pending = state.pendingHostKey;
+  const show = Boolean(
+    pending && pending.serverId === state.serverId && state.dismissedHostKey !== pending.fingerprint
+  );
+  settingsElements.hostKeyPrompt?.classList.toggle('hidden', !show);
+  if (!show) return;
+  settingsElements.hostKeyPromptTitle.textContent = `First connection to ${pending.hostId} (${pending.keyType})`;
+  settingsElements.hostKeyPromptFingerprint.textContent = pending.fingerprint;
+}
+
+async function handleTrustHostKey() {
+  const pending = state.pendingHostKey;
+  if (!pending) return;
+  try {
+    const result = await window.companion.trustHostKey(pending.serverId, pending.fingerprint);
+    if (!result?.success) {
+      throw new Error(result?.message || 'Unable to trust host key.');
+    }
+    state.pendingHostKey = null;
+    renderHostKeyPrompt();
+    closeSettingsPanel();
+    hideError();
+    refreshStats(true);
+  } catch (error) {
+    settingsElements.message.textContent = error.message || 'Unable to trust host key.';
+  }
+}
+
+async function handleForgetHostKey() {
+  try {
+    const result = await window.companion.forgetHostKey(state.serverId);
+    if (!result?.success) {
+      throw new Error(result?.message || 'Unable to forget host key.');
+    }
+    state.dismissedHostKey = null;
+    settingsElements.hostKeyPinned.textContent = 'Not trusted yet';
+    settingsElements.forgetHostKey.classList.add('hidden');
+    settingsElements.message.textContent = 'Saved key removed. The next connection asks you to confirm the new one.';
+  } catch (error) {
+    settingsElements.message.textContent = error.message || 'Unable to forget host key.';
+  }
+}
+
+// Same two-click confirmation as the container/VM actions
+async function handleRemoveServer() {
+  const button = settingsElements.removeServer;
+  if (!state.removeServerTimer) {
+    button.textContent = 'Confirm remove server?';
+    button.classList.add('settings-remove-server--armed');
+    state.removeServerTimer = setTimeout(disarmRemoveServer, CONFIRM_WINDOW_MS);
+    return;
+  }
+
+  disarmRemoveServer();
+  try {
+    const result = await window.companion.removeServer(state.serverId);
+    if (!result?.success) {
+      throw new Error(result?.message || 'Unable to remove server.');
+    }
+    closeSettingsPanel();
+    await hydrateConfig();
+    refreshStats();
+  } catch (error) {
+    settingsElements.message.textContent = error.message || 'Unable to remove server.';
+  }
+}
+
+function disarmRemoveServer() {
+  const button = settingsElements.removeServer;
+  clearTimeout(state.removeServerTimer);
+  state.removeServerTimer = null;
+  button.textContent = 'Remove server';
+  button.classList.remove('settings-remove-server--armed');
+}
+
 function updateSettingsVisibility() {
   const mode = settingsElements.transport?.value || 'ssh';
   const sshOnly = document.querySelectorAll('[data-settings-ssh-only]');
   const wsOnly = document.querySelectorAll('[data-settings-ws-only]');
+  const fallbackOnly = document.querySelectorAll('[data-settings-fallback-only]');
 
+  // "ws-ssh" needs both: the WS server, and SSH credentials for the fallback
   sshOnly.forEach((node) => {
-    node.classList.toggle('settings-field--hidden', mode !== 'ssh');
+    node.classList.toggle('settings-field--hidden', mode === 'ws');
   });
   wsOnly.forEach((node) => {
-    node.classList.toggle('settings-field--hidden', mode !== 'ws');
+    node.classList.toggle('settings-field--hidden', mode === 'ssh');
+  });
+  fallbackOnly.forEach((node) => {
+    node.classList.toggle('settings-field--hidden', mode !== 'ws-ssh');
   });
 }
 
@@ -826,6 +1783,7 @@ async function handleSettingsSubmit(event) {
   const formData = new FormData(settingsElements.form);
   const payload = {};
 
+  payload.name = formData.get('name')?.toString().trim();
   payload.host = formData.get('host')?.toString().trim();
   const portRaw = formData.get('port');
   if (portRaw) payload.port = Number(portRaw);
@@ -841,6 +1799,11 @@ async function handleSettingsSubmit(event) {
   payload.showStoppedServices = formData.has('showStoppedServices');
   payload.transport = formData.get('transport')?.toString() || 'ssh';
   payload.wsUrl = formData.get('wsUrl')?.toString().trim() || '';
+  payload.wsToken = formData.get('wsToken')?.toString().trim() || '';
+  payload.wsCertFingerprint = formData.get('wsCertFingerprint')?.toString().trim() || '';
+  const fallbackRaw = formData.get('wsFallbackSeconds');
+  if (fallbackRaw) payload.wsFallbackSeconds = Number(fallbackRaw);
+  payload.alerts = readAlertSettings(formData);
 
   const passwordValue = formData.get('password')?.toString();
   const clearPassword = formData.get('clearPassword') === 'on';
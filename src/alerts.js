@@ -0,0 +1,245 @@
+// Threshold alerts evaluated against each stats result (SSH refresh or WS snapshot).
+// Metric rules need the condition to hold for `sustainSeconds` before firing and clear only
+// once the value drops `hysteresis` below the threshold, so a single spike doesn't notify.
+
+const DEFAULT_ALERT_RULES = {
+  enabled: true,
+  cpuPercent: 90,
+  memoryPercent: 90,
+  arrayPercent: 90,
+  diskTempC: 50,
+  containerStopped: true,
+  vmStateChange: true,
+  parityErrors: true,
+  sustainSeconds: 60,
+  hysteresis: 5
+};
+
+// State changes within this window after a user-initiated action are not "unexpected"
+const USER_ACTION_GRACE_MS = 2 * 60_000;
+
+function normalizeAlertRules(raw = {}) {
+  const rules = { ...DEFAULT_ALERT_RULES };
+  if (!raw || typeof raw !== 'object') {
+    return rules;
+  }
+
+  ['enabled', 'containerStopped', 'vmStateChange', 'parityErrors'].forEach((key) => {
+    if (key in raw) rules[key] = Boolean(raw[key]);
+  });
+
+  // Thresholds: empty / 0 disables the rule
+  [
+    ['cpuPercent', 'CPU', 1, 100],
+    ['memoryPercent', 'Memory', 1, 100],
+    ['arrayPercent', 'Array usage', 1, 100],
+    ['diskTempC', 'Disk temperature', 20, 90]
+  ].forEach(([key, label, min, max]) => {
+    if (!(key in raw)) return;
+    const value = raw[key];
+    if (value === '' || value === null || value === undefined || Number(value) === 0) {
+      rules[key] = null;
+      return;
+    }
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+      throw new Error(`${label} alert threshold must be between ${min} and ${max}.`);
+    }
+    rules[key] = parsed;
+  });
+
+  if ('sustainSeconds' in raw && raw.sustainSeconds !== '' && raw.sustainSeconds !== null) {
+    const parsed = Number(raw.sustainSeconds);
+    if (!Number.isFinite(parsed) || parsed < 0 || parsed > 3600) {
+      throw new Error('Alert delay must be between 0 and 3600 seconds.');
+    }
+    rules.sustainSeconds = Math.round(parsed);
+  }
+
+  if ('hysteresis' in raw && raw.hysteresis !== '' && raw.hysteresis !== null) {
+    const parsed = Number(raw.hysteresis);
+    if (!Number.isFinite(parsed) || parsed < 0 || parsed > 50) {
+      throw new Error('Alert hysteresis must be between 0 and 50.');
+    }
+    rules.hysteresis = parsed;
+  }
+
+  return rules;
+}
+
+/**
+ * @param {object} options
+ * @param {(alert: { title: string, body: string }) => void} options.notify
+ * @param {(active: Array<{ key: string, title: string }>) => void} [options.onActiveChange]
+ */
+function createAlertEngine({ notify, onActiveChange }) {
+  // key -> { since, firing, title } for threshold rules
+  const metricState = new Map();
+  let previous = null;
+  const userActions = new Map();
+
+  function evaluate(stats, rules) {
+    if (!stats) return;
+    if (!rules?.enabled) {
+      reset();
+      return;
+    }
+
+    const now = Date.now();
+    const seen = new Set();
+
+    const check = (key, title, value, threshold, unit) => {
+      if (!Number.isFinite(threshold)) return;
+      seen.add(key);
+      evaluateMetric({ key, title, value, threshold, unit, rules, now });
+    };
+
+    check('cpu', 'CPU usage', stats.cpuPercent, rules.cpuPercent, '%');
+    check('memory', 'Memory usage', stats.memory?.usedPercent, rules.memoryPercent, '%');
+    check('array', 'Array usage', stats.arrayUsage?.usedPercent, rules.arrayPercent, '%');
+    (stats.disks || []).forEach((disk) => {
+      check(`disk:${disk.name}`, `${disk.name} temperature`, disk.tempC, rules.diskTempC, ' °C');
+    });
+
+    // Rules that were disabled or whose subject disappeared stop counting as active
+    let changed = false;
+    for (const key of metricState.keys()) {
+      if (!seen.has(key)) {
+        metricState.delete(key);
+        changed = true;
+      }
+    }
+
+    if (previous) {
+      if (rules.containerStopped) {
+        detectStoppedContainers(previous.containers, stats.containers, now);
+      }
+      if (rules.vmStateChange) {
+        detectVmStateChanges(previous.vms, stats.vms, now);
+      }
+      if (rules.parityErrors) {
+        detectParityErrors(previous.parity, stats.parity);
+      }
+    }
+
+    previous = {
+      containers: Array.isArray(stats.containers) ? stats.containers : [],
+      vms: Array.isArray(stats.vms) ? stats.vms : [],
+      parity: stats.parity || null
+    };
+
+    if (changed) emitActive();
+  }
+
+  function evaluateMetric({ key, title, value, threshold, unit, rules, now }) {
+    if (!Number.isFinite(value)) return;
+    const entry = metricState.get(key) || { since: null, firing: false, title };
+
+    if (entry.firing) {
+      if (value < threshold - rules.hysteresis) {
+        metricState.delete(key);
+        emitActive();
+      }
+      return;
+    }
+
+    if (value < threshold) {
+      metricState.delete(key);
+      return;
+    }
+
+    entry.since = entry.since ?? now;
+    metricState.set(key, entry);
+    if (now - entry.since >= rules.sustainSeconds * 1000) {
+      entry.firing = true;
+      notify({
+        title: `${title} high`,
+        body: `${title} is ${formatValue(value)}${unit} (threshold ${threshold}${unit}).`
+      });
+      emitActive();
+    }
+  }
+
+  function detectStoppedContainers(before = [], after = [], now) {
+    const afterById = new Map((after || []).map((c) => [c.id || c.name, c]));
+    before.forEach((prev) => {
+      const key = prev.id || prev.name;
+      const next = afterById.get(key);
+      if (!prev.running || !next || next.running) return;
+      if (wasUserAction('container', key, now) || wasUserAction('container', prev.name, now)) return;
+      notify({
+        title: 'Container stopped',
+        body: `${prev.name || key} stopped unexpectedly (${next.status || 'not running'}).`
+      });
+    });
+  }
+
+  function detectVmStateChanges(before = [], after = [], now) {
+    const afterByName = new Map((after || []).map((vm) => [vm.name, vm]));
+    before.forEach((prev) => {
+      const next = afterByName.get(prev.name);
+      if (!next || next.state === prev.state) return;
+      if (wasUserAction('vm', prev.name, now)) return;
+      notify({
+        title: 'VM state changed',
+        body: `${prev.name} went from ${prev.state} to ${next.state}.`
+      });
+    });
+  }
+
+  function detectParityErrors(before, after) {
+    if (!before?.running || !after || after.running) return;
+    const errors = after.lastCheck?.errors ?? after.syncErrors ?? 0;
+    if (errors > 0) {
+      notify({
+        title: 'Parity check finished with errors',
+        body: `${errors} sync error${errors === 1 ? '' : 's'} found. Review the array in the Unraid dashboard.`
+      });
+    }
+  }
+
+  function noteUserAction(kind, key) {
+    if (!key) return;
+    userActions.set(`${kind}:${key}`, Date.now());
+  }
+
+  function wasUserAction(kind, key, now) {
+    const ts = userActions.get(`${kind}:${key}`);
+    if (!ts) return false;
+    if (now - ts > USER_ACTION_GRACE_MS) {
+      userActions.delete(`${kind}:${key}`);
+      return false;
+    }
+    return true;
+  }
+
+  function getActive() {
+    return Array.from(metricState.entries())
+      .filter(([, entry]) => entry.firing)
+      .map(([key, entry]) => ({ key, title: entry.title }));
+  }
+
+  function emitActive() {
+    if (onActiveChange) onActiveChange(getActive());
+  }
+
+  // Forget everything (e.g. after switching servers or disabling alerts)
+  function reset() {
+    const hadActive = getActive().length > 0;
+    metricState.clear();
+    previous = null;
+    if (hadActive) emitActive();
+  }
+
+  return { evaluate, noteUserAction, getActive, reset };
+}
+
+function formatValue(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+module.exports = {
+  DEFAULT_ALERT_RULES,
+  normalizeAlertRules,
+  createAlertEngine
+};
@@ -0,0 +1,519 @@
+# Everything one SSH refresh needs, in one round trip. Prints a single JSON document shaped like
+# collectSnapshot() in ws-server/server.mjs, so the main process turns SSH and WS snapshots into
+# stats the same way (snapshotToStats). Plain POSIX sh + awk: nothing to install on the server,
+# and src/main.js pipes it to `sh -s`, so nothing is written there either.
+#
+# Usage: sh -s -- <interface> <containers 0|1> <vms 0|1> <stopped too 0|1> <host>
+#
+# Interface and container traffic come back as byte counters (rates null); the main process
+# turns them into Mbps against its previous sample, since this script keeps no state.
+
+collect() {
+  iface=$1
+  want_containers=$2
+  want_vms=$3
+  want_stopped=$4
+  host=$5
+  tab=$(printf '\t')
+  tmp=$(mktemp -d 2>/dev/null) || tmp=/tmp/unraid-companion.$$
+  mkdir -p "$tmp"
+  trap 'rm -rf "$tmp"' EXIT
+
+  {
+    # docker stats alone takes about two seconds, so the Docker queries run next to everything else
+    if [ "$want_containers" = 1 ]; then
+      ps_all=
+      [ "$want_stopped" = 1 ] && ps_all=-a
+      (
+        docker ps $ps_all --no-trunc \
+          --format "{{.ID}}$tab{{.Names}}$tab{{.Image}}$tab{{.Status}}$tab{{.Ports}}$tab{{.Label \"net.unraid.docker.webui\"}}$tab{{.Label \"net.unraid.docker.icon\"}}" \
+          >"$tmp/ps"
+        ids=$(cut -f1 "$tmp/ps")
+        [ -n "$ids" ] &&
+          docker inspect --format "{{.Id}}$tab{{range .NetworkSettings.Networks}}{{.IPAddress}} {{end}}" $ids >"$tmp/inspect"
+      ) &
+      docker stats --no-stream \
+        --format "{{.ID}}$tab{{.Name}}$tab{{.CPUPerc}}$tab{{.MemPerc}}$tab{{.MemUsage}}$tab{{.NetIO}}" \
+        >"$tmp/stats" &
+    fi
+
+    echo '@@cpu'
+    head -n 1 /proc/stat
+    echo '@@uptime'
+    cat /proc/uptime
+    echo '@@meminfo'
+    cat /proc/meminfo
+    echo '@@hostname'
+    cat /proc/sys/kernel/hostname
+    echo '@@net'
+    cat "/sys/class/net/$iface/statistics/rx_bytes" "/sys/class/net/$iface/statistics/tx_bytes"
+    echo '@@array'
+    df -P -B1 /mnt/user | tail -n 1
+    echo '@@parity'
+    cat /var/local/emhttp/var.ini || /usr/local/sbin/mdcmd status
+    echo '@@disks'
+    cat /var/local/emhttp/disks.ini
+    # Parity disks and unmounted pool members just drop out of df
+    echo '@@diskdf'
+    df -P -B1 $(sed -n 's/^name="\{0,1\}\([^"]*\)"\{0,1\}$/\/mnt\/\1/p' /var/local/emhttp/disks.ini)
+    if [ "$want_vms" = 1 ]; then
+      echo '@@vms'
+      if [ "$want_stopped" = 1 ]; then virsh list --all; else virsh list --state-running; fi
+    fi
+
+    # CPU usage over at least 0.4s, like collectCpuPercent() on the WS server
+    sleep 0.4
+    echo '@@cpu'
+    head -n 1 /proc/stat
+
+    wait
+    echo '@@ps'
+    cat "$tmp/ps"
+    echo '@@inspect'
+    cat "$tmp/inspect"
+    echo '@@stats'
+    cat "$tmp/stats"
+  } 2>/dev/null | awk \
+    -v ts="$(date -u +%Y-%m-%dT%H:%M:%S.000Z)" \
+    -v iface="$iface" \
+    -v host="$host" \
+    -v want_containers="$want_containers" \
+    -v want_vms="$want_vms" \
+    "$SNAPSHOT_AWK"
+}
+
+# Parsing mirrors ws-server/server.mjs: collectHostStats, collectArrayUsage, buildParityStatus,
+# buildDisksFromIni, buildContainer (with applyDockerTemplate / normalizeUrl / deriveDockerUrl),
+# handleDockerStatsLine and collectVmStats. Keep them in step.
+SNAPSHOT_AWK='
+/^@@/ { section = substr($0, 3); next }
+
+section == "cpu" {
+  cpu_samples++
+  cpu_idle[cpu_samples] = $5 + $6
+  cpu_total[cpu_samples] = 0
+  for (i = 2; i <= NF; i++) cpu_total[cpu_samples] += $i
+  next
+}
+section == "uptime" { uptime = int($1); next }
+section == "meminfo" { key = $1; sub(/:$/, "", key); meminfo[key] = $2 + 0; next }
+section == "hostname" { if (hostname == "") hostname = $0; next }
+section == "net" { if (is_number($1)) net_bytes[++net_count] = $1 + 0; next }
+section == "array" {
+  if (NF >= 5 && is_number($2)) {
+    array_found = 1
+    array_total = $2 + 0
+    array_used = $3 + 0
+    array_percent = $5
+  }
+  next
+}
+section == "parity" {
+  eq = index($0, "=")
+  if (eq) {
+    key = trim(substr($0, 1, eq - 1))
+    if (key != "") parity[key] = unquote(trim(substr($0, eq + 1)))
+  }
+  next
+}
+section == "disks" {
+  line = trim($0)
+  if (line == "" || line ~ /^[;#]/) next
+  if (line ~ /^\[.*\]$/) {
+    header = trim(substr(line, 2, length(line) - 2))
+    sub(/^"/, "", header)
+    sub(/"$/, "", header)
+    disk_sections[++disk_count] = header
+    next
+  }
+  eq = index(line, "=")
+  if (!eq || !disk_count) next
+  disk[disk_count, trim(substr(line, 1, eq - 1))] = unquote(trim(substr(line, eq + 1)))
+  next
+}
+section == "diskdf" {
+  if (NF >= 6 && is_number($2)) {
+    mount_total[$6] = $2 + 0
+    mount_used[$6] = $3 + 0
+  }
+  next
+}
+section == "ps" {
+  split($0, field, "\t")
+  if (field[1] == "") next
+  container_count++
+  c_id[container_count] = field[1]
+  c_name[container_count] = field[2]
+  c_image[container_count] = field[3]
+  c_status[container_count] = field[4]
+  c_ports[container_count] = field[5]
+  c_webui[container_count] = field[6]
+  c_icon[container_count] = field[7]
+  next
+}
+section == "inspect" {
+  split($0, field, "\t")
+  split(field[2], addresses, " ")
+  container_ip[field[1]] = addresses[1]
+  next
+}
+section == "stats" {
+  split($0, field, "\t")
+  if (field[1] == "" && field[2] == "") next
+  stats_count++
+  if (field[1] != "") stats_index[field[1]] = stats_count
+  if (field[2] != "") stats_index[field[2]] = stats_count
+  s_cpu[stats_count] = parse_percent(field[3])
+  s_mem[stats_count] = parse_percent(field[4])
+  split_usage(field[5])
+  s_mem_used[stats_count] = usage_used
+  s_mem_limit[stats_count] = usage_total
+  split_usage(field[6])
+  s_net_rx[stats_count] = usage_used
+  s_net_tx[stats_count] = usage_total
+  next
+}
+section == "vms" {
+  line = trim($0)
+  if (line == "" || tolower(line) ~ /^id/ || line ~ /^-/) next
+  if (split(line, parts, /  +/) < 3) next
+  vm_count++
+  vm_name[vm_count] = parts[2]
+  vm_state[vm_count] = tolower(parts[3])
+  next
+}
+
+END {
+  printf "{\"ts\":%s,\"host\":%s,\"network\":%s,\"arrayUsage\":%s,\"parity\":%s,\"disks\":%s,\"containers\":%s,\"vms\":%s}\n",
+    str(ts), host_json(), network_json(), array_json(), parity_json(), disks_json(), containers_json(), vms_json()
+}
+
+function host_json(    total_kb, free_kb, used_kb, cpu, idle_delta, total_delta) {
+  total_kb = meminfo["MemTotal"] + 0
+  free_kb = ("MemAvailable" in meminfo) ? meminfo["MemAvailable"] : meminfo["MemFree"] + 0
+  used_kb = max(total_kb - free_kb, 0)
+
+  cpu = "null"
+  if (cpu_samples >= 2) {
+    idle_delta = cpu_idle[2] - cpu_idle[1]
+    total_delta = cpu_total[2] - cpu_total[1]
+    cpu = num(clamp(total_delta == 0 ? 0 : (1 - idle_delta / total_delta) * 100, 0, 100))
+  }
+
+  return "{\"uptimeSeconds\":" num(uptime) \
+    ",\"memory\":{\"totalBytes\":" num(total_kb * 1024) ",\"usedBytes\":" num(used_kb * 1024) \
+    ",\"totalGb\":" num(round(total_kb / 1024 / 1024)) ",\"usedGb\":" num(round(used_kb / 1024 / 1024)) \
+    ",\"usedPercent\":" num(clamp(total_kb ? used_kb / total_kb * 100 : 0, 0, 100)) "}" \
+    ",\"hostname\":" opt_str(hostname) ",\"cpuPercent\":" cpu "}"
+}
+
+function network_json() {
+  if (net_count < 2) return "null"
+  return "{\"interface\":" str(iface) ",\"rxBytes\":" num(net_bytes[1]) ",\"txBytes\":" num(net_bytes[2]) \
+    ",\"rxMbps\":null,\"txMbps\":null}"
+}
+
+function array_json(    percent, tib) {
+  if (!array_found) return "{\"totalTb\":0,\"usedTb\":0,\"usedPercent\":0}"
+  percent = array_percent ~ /%$/ ? substr(array_percent, 1, length(array_percent) - 1) + 0 \
+    : (array_total ? array_used / array_total * 100 : 0)
+  tib = 1024 * 1024 * 1024 * 1024
+  return "{\"totalBytes\":" num(array_total) ",\"usedBytes\":" num(array_used) \
+    ",\"totalTb\":" num(round(array_total / tib)) ",\"usedTb\":" num(round(array_used / tib)) \
+    ",\"usedPercent\":" num(clamp(percent, 0, 100)) "}"
+}
+
+function parity_json(    total, position, running, speed, remaining, started, finished, errors, last_check, exit_code) {
+  if (!("mdResync" in parity) && !("sbSynced" in parity)) return "null"
+
+  # 1 KiB blocks to sync; 0 when idle
+  total = parity["mdResync"] + 0
+  position = parity["mdResyncPos"] + 0
+  running = total > 0
+  speed = running && parity["mdResyncDt"] + 0 > 0 ? parity["mdResyncDb"] * 1024 / parity["mdResyncDt"] : ""
+  remaining = max(total - position, 0) * 1024
+  started = parity["sbSynced"] + 0
+  finished = parity["sbSynced2"] + 0
+  errors = parity["sbSyncErrs"] + 0
+
+  last_check = "null"
+  if (!running && finished) {
+    # 0 = completed, negative = aborted / failed
+    exit_code = ("sbSyncExit" in parity) && parity["sbSyncExit"] != "" ? num(parity["sbSyncExit"] + 0) : "null"
+    last_check = "{\"finishedAt\":" str(iso_time(finished)) \
+      ",\"durationSeconds\":" (started && finished >= started ? num(finished - started) : "null") \
+      ",\"errors\":" num(errors) ",\"exitCode\":" exit_code "}"
+  }
+
+  return "{\"arrayState\":" opt_str(parity["mdState"]) \
+    ",\"running\":" bool(running) \
+    ",\"action\":" (running ? str(resync_action(parity["mdResyncAction"])) : "null") \
+    ",\"correcting\":" bool(parity["mdResyncCorr"] == "1") \
+    ",\"percent\":" (running ? num(clamp(position / total * 100, 0, 100)) : "null") \
+    ",\"speedBytesPerSec\":" opt_num(speed) \
+    ",\"etaSeconds\":" (speed != "" && speed + 0 ? num(int(remaining / speed + 0.5)) : "null") \
+    ",\"syncErrors\":" num(errors) \
+    ",\"lastCheck\":" last_check "}"
+}
+
+function resync_action(action) {
+  action = tolower(action)
+  if (action ~ /^check/) return "check"
+  if (action ~ /^recon d/) return "rebuild"
+  if (action ~ /^recon/) return "parity-sync"
+  if (action ~ /^clear/) return "clear"
+  return action == "" ? "check" : action
+}
+
+function disks_json(    out, i, name, type, status, role, temp_raw, spun_down, temp, size, used, percent, fs_size, fs_free, mount) {
+  out = ""
+  for (i = 1; i <= disk_count; i++) {
+    name = disk[i, "name"] != "" ? disk[i, "name"] : disk_sections[i]
+    type = tolower(disk[i, "type"])
+    status = disk[i, "status"]
+    # Skip the boot flash and unassigned slots
+    if (name == "" || type == "flash" || disk[i, "device"] == "" || status == "DISK_NP" || status == "DISK_NP_DSBL") continue
+
+    role = type == "parity" ? "parity" : type == "data" ? "data" : name ~ /^cache/ ? "cache" : "pool"
+    temp_raw = disk[i, "temp"]
+    spun_down = disk[i, "spundown"] == "1" || temp_raw == "*" || disk[i, "color"] ~ /blink$/
+    temp = match(temp_raw, /^[ ]*-?[0-9]+/) && !spun_down ? num(substr(temp_raw, RSTART, RLENGTH) + 0) : "null"
+
+    size = kib_to_bytes(disk[i, "size"])
+    used = ""
+    percent = ""
+    fs_size = kib_to_bytes(disk[i, "fsSize"])
+    fs_free = kib_to_bytes(disk[i, "fsFree"])
+    if (fs_size != "" && fs_size + 0 && fs_free != "") {
+      size = fs_size
+      used = max(fs_size - fs_free, 0)
+    }
+    mount = "/mnt/" name
+    if (role != "parity" && mount_total[mount] + 0 > 0) {
+      size = mount_total[mount]
+      used = max(mount_used[mount], 0)
+    }
+    if (used != "") percent = clamp(used / size * 100, 0, 100)
+
+    out = out (out == "" ? "" : ",") "{\"name\":" str(name) ",\"role\":" str(role) \
+      ",\"device\":" str(disk[i, "device"]) ",\"model\":" opt_str(disk[i, "id"]) ",\"status\":" str(status) \
+      ",\"fsType\":" opt_str(disk[i, "fsType"]) ",\"sizeBytes\":" opt_num(size) ",\"usedBytes\":" opt_num(used) \
+      ",\"usedPercent\":" opt_num(percent) ",\"tempC\":" temp ",\"spunDown\":" bool(spun_down) \
+      ",\"rotational\":" bool(disk[i, "rotational"] != "0") "}"
+  }
+  return "[" out "]"
+}
+
+# disks.ini sizes are in 1 KiB blocks
+function kib_to_bytes(value) {
+  return is_number(value) ? value * 1024 : ""
+}
+
+function containers_json(    out, i, status, ip, url, icon, j, ports, stats) {
+  if (want_containers != 1) return "[]"
+  out = ""
+  for (i = 1; i <= container_count; i++) {
+    status = tolower(c_status[i])
+    ip = container_ip[c_id[i]]
+    parse_ports(c_ports[i])
+
+    ports = ""
+    for (j = 1; j <= port_count; j++) {
+      ports = ports (j > 1 ? "," : "") (port_host[j] == "" ? "{\"display\":" str(port_display[j]) "}" \
+        : "{\"hostIp\":" str(port_ip[j]) ",\"hostPort\":" str(port_host[j]) ",\"containerPort\":" str(port_container[j]) \
+          ",\"protocol\":" str(port_protocol[j]) ",\"display\":" str(port_display[j]) "}")
+    }
+
+    url = normalize_url(apply_template(c_webui[i], ip))
+    if (url == "") url = derive_url(ip)
+    icon = normalize_url(apply_template(c_icon[i], ip))
+
+    stats = stats_index[substr(c_id[i], 1, 12)]
+    if (stats == "") stats = stats_index[c_id[i]]
+    if (stats == "") stats = stats_index[c_name[i]]
+
+    out = out (out == "" ? "" : ",") "{\"id\":" str(c_id[i]) ",\"name\":" str(c_name[i]) \
+      ",\"image\":" str(c_image[i]) ",\"status\":" str(c_status[i]) \
+      ",\"running\":" bool(status ~ /^up/) ",\"paused\":" bool(index(status, "(paused)") > 0) \
+      ",\"ports\":[" ports "],\"containerIp\":" opt_str(ip) ",\"url\":" opt_str(url) ",\"icon\":" opt_str(icon) \
+      ",\"metrics\":" (stats == "" ? "null" : metrics_json(stats)) "}"
+  }
+  return "[" out "]"
+}
+
+function metrics_json(n) {
+  return "{\"cpuPercent\":" opt_num(s_cpu[n]) ",\"memPercent\":" opt_num(s_mem[n]) \
+    ",\"memUsedBytes\":" opt_num(s_mem_used[n]) ",\"memLimitBytes\":" opt_num(s_mem_limit[n]) \
+    ",\"netRxBytes\":" opt_num(s_net_rx[n]) ",\"netTxBytes\":" opt_num(s_net_tx[n]) \
+    ",\"netRxMbps\":null,\"netTxMbps\":null}"
+}
+
+# "0.0.0.0:8080->80/tcp, :::8080->80/tcp, 443/tcp" into port_* arrays
+function parse_ports(raw,    segments, count, i, segment, arrow, prefix, rest) {
+  port_count = 0
+  count = split(raw, segments, ",")
+  for (i = 1; i <= count; i++) {
+    segment = trim(segments[i])
+    if (segment == "") continue
+    port_count++
+    port_host[port_count] = ""
+    port_container[port_count] = ""
+    if (!match(segment, /[0-9]+->[0-9]+/)) {
+      port_display[port_count] = segment
+      continue
+    }
+    arrow = index(substr(segment, RSTART), "->") + RSTART - 1
+    port_host[port_count] = substr(segment, RSTART, arrow - RSTART)
+    port_container[port_count] = substr(segment, arrow + 2, RSTART + RLENGTH - arrow - 2)
+    prefix = substr(segment, 1, RSTART - 1)
+    rest = substr(segment, RSTART + RLENGTH)
+    sub(/:$/, "", prefix)
+    sub(/^.*:/, "", prefix)
+    port_ip[port_count] = index(prefix, ".") ? prefix : "0.0.0.0"
+    port_protocol[port_count] = match(rest, /^\/[A-Za-z]+/) ? substr(rest, 2, RLENGTH - 1) : "tcp"
+    port_display[port_count] = port_host[port_count] "->" port_container[port_count] "/" port_protocol[port_count]
+  }
+}
+
+# Unraid template labels: [IP] and [PORT:<container port>]
+function apply_template(value, ip,    out, wanted, j, found) {
+  out = value
+  while (match(toupper(out), /\[IP\]/)) {
+    out = substr(out, 1, RSTART - 1) (ip != "" ? ip : host != "" ? host : "localhost") substr(out, RSTART + RLENGTH)
+  }
+  while (match(toupper(out), /\[PORT:[0-9]+\]/)) {
+    wanted = substr(out, RSTART + 6, RLENGTH - 7) + 0
+    found = ""
+    for (j = 1; j <= port_count && found == ""; j++) if (port_container[j] != "" && port_container[j] + 0 == wanted) found = j
+    for (j = 1; j <= port_count && found == ""; j++) if (port_host[j] != "" && port_host[j] + 0 == wanted) found = j
+    out = substr(out, 1, RSTART - 1) (found != "" && port_host[found] != "" ? port_host[found] : wanted) substr(out, RSTART + RLENGTH)
+  }
+  return out
+}
+
+function normalize_url(url) {
+  url = trim(url)
+  if (url == "") return ""
+  if (tolower(url) !~ /^https?:\/\//) {
+    if (url ~ /^\/\//) url = "http:" url
+    else if (url ~ /^\//) url = "http://" (host != "" ? host : "localhost") url
+    else url = "http://" url
+  }
+  # Roughly what URL() would reject: no host, or whitespace left over from a broken template
+  return url ~ /^[A-Za-z]+:\/\/[A-Za-z0-9]/ && url !~ /[ \t<>"]/ ? url : ""
+}
+
+function derive_url(ip,    j, scheme) {
+  for (j = 1; j <= port_count; j++) {
+    if (port_host[j] != "") {
+      scheme = port_host[j] + 0 == 443 ? "https" : "http"
+      return scheme "://" (host != "" ? host : "localhost") ":" port_host[j]
+    }
+  }
+  if (ip == "") return ""
+  if (port_count && port_container[1] != "") {
+    scheme = port_container[1] + 0 == 443 ? "https" : "http"
+    return scheme "://" ip ":" port_container[1]
+  }
+  return "http://" ip
+}
+
+function vms_json(    out, i) {
+  if (want_vms != 1) return "[]"
+  out = ""
+  for (i = 1; i <= vm_count; i++) {
+    out = out (i > 1 ? "," : "") "{\"name\":" str(vm_name[i]) ",\"state\":" str(vm_state[i]) \
+      ",\"running\":" bool(vm_state[i] ~ /^running/) ",\"paused\":" bool(vm_state[i] ~ /^paused/) "}"
+  }
+  return "[" out "]"
+}
+
+# docker stats: "12.5%", "512MiB / 15.5GiB", "1.2kB / 3.4MB"
+function parse_percent(value) {
+  value = trim(value)
+  sub(/%/, "", value)
+  return match(value, /^-?[0-9]+(\.[0-9]+)?/) ? substr(value, RSTART, RLENGTH) + 0 : ""
+}
+
+function split_usage(value,    parts, count) {
+  count = split(value, parts, "/")
+  usage_used = parse_bytes(parts[1])
+  usage_total = count >= 2 ? parse_bytes(parts[2]) : ""
+}
+
+function parse_bytes(text,    amount, unit) {
+  text = trim(text)
+  if (!match(text, /^[0-9.]+/)) return ""
+  amount = substr(text, 1, RLENGTH) + 0
+  unit = trim(substr(text, RLENGTH + 1))
+  unit = match(unit, /^[kKmMgGtTpP]?i?[bB]/) ? tolower(substr(unit, 1, RLENGTH)) : "b"
+  if (unit == "kb") return amount * 1e3
+  if (unit == "mb") return amount * 1e6
+  if (unit == "gb") return amount * 1e9
+  if (unit == "tb") return amount * 1e12
+  if (unit == "kib") return amount * 1024
+  if (unit == "mib") return amount * 1024 ^ 2
+  if (unit == "gib") return amount * 1024 ^ 3
+  if (unit == "tib") return amount * 1024 ^ 4
+  return amount
+}
+
+# Seconds since the epoch as toISOString() prints it (POSIX awk has no strftime)
+function iso_time(seconds,    days, rem, era, doe, yoe, year, doy, mp, day, month) {
+  days = int(seconds / 86400)
+  rem = seconds - days * 86400
+  days += 719468
+  era = int(days / 146097)
+  doe = days - era * 146097
+  yoe = int((doe - int(doe / 1460) + int(doe / 36524) - int(doe / 146096)) / 365)
+  year = yoe + era * 400
+  doy = doe - (365 * yoe + int(yoe / 4) - int(yoe / 100))
+  mp = int((5 * doy + 2) / 153)
+  day = doy - int((153 * mp + 2) / 5) + 1
+  month = mp < 10 ? mp + 3 : mp - 9
+  if (month <= 2) year++
+  return sprintf("%04d-%02d-%02dT%02d:%02d:%02d.000Z", year, month, day, int(rem / 3600), int(rem % 3600 / 60), rem % 60)
+}
+
+function str(value,    out, i, c) {
+  if (!control_escapes_ready) init_control_escapes()
+  out = ""
+  for (i = 1; i <= length(value); i++) {
+    c = substr(value, i, 1)
+    if (c == "\\") out = out "\\\\"
+    else if (c == "\"") out = out "\\\""
+    else if (c in control_escapes) out = out control_escapes[c]
+    else out = out c
+  }
+  return "\"" out "\""
+}
+
+# JSON forbids raw characters below 0x20 (names, labels and images may still contain them)
+function init_control_escapes(    i) {
+  for (i = 1; i < 32; i++) control_escapes[sprintf("%c", i)] = sprintf("\\u%04x", i)
+  control_escapes["\t"] = "\\t"
+  control_escapes["\n"] = "\\n"
+  control_escapes["\r"] = "\\r"
+  control_escapes_ready = 1
+}
+
+function opt_str(value) { return value == "" ? "null" : str(value) }
+function opt_num(value) { return value == "" ? "null" : num(value) }
+function bool(value) { return value ? "true" : "false" }
+
+function num(value) {
+  if (value == int(value) && value < 1e15 && value > -1e15) return sprintf("%.0f", value)
+  value = sprintf("%.6f", value)
+  sub(/0+$/, "", value)
+  return value
+}
+
+function is_number(value) { return value ~ /^-?[0-9]+(\.[0-9]+)?$/ }
+function trim(value) { sub(/^[ \t\r]+/, "", value); sub(/[ \t\r]+$/, "", value); return value }
+function unquote(value) { return value ~ /^".*"$/ ? substr(value, 2, length(value) - 2) : value }
+function round(value) { return int(value * 100 + 0.5) / 100 }
+function clamp(value, low, high) { return value < low ? low : value > high ? high : value }
+function max(a, b) { return a > b ? a : b }
+'
+
+collect "$@" </dev/null
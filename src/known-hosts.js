@@ -0,0 +1,67 @@
+// Trust-on-first-use SSH host keys, one entry per `host:port`. The first key a server presents
+// is only accepted once the user confirms its fingerprint; after that any other key is refused.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// OpenSSH-style fingerprint, as printed by `ssh-keygen -lf`: SHA256:<unpadded base64>
+function fingerprintHostKey(key) {
+  return `SHA256:${crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '')}`;
+}
+
+// The wire-format key starts with its algorithm name (e.g. "ssh-ed25519")
+function hostKeyType(key) {
+  try {
+    const length = key.readUInt32BE(0);
+    return key.toString('ascii', 4, 4 + length);
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * @param {string} filePath JSON file holding `{ "host:port": { fingerprint, keyType, addedAt } }`
+ */
+function createKnownHosts(filePath) {
+  function get(hostId) {
+    return readAll()[hostId] || null;
+  }
+
+  function set(hostId, { fingerprint, keyType }) {
+    const hosts = readAll();
+    hosts[hostId] = { fingerprint, keyType, addedAt: new Date().toISOString() };
+    writeAll(hosts);
+  }
+
+  function remove(hostId) {
+    const hosts = readAll();
+    if (!(hostId in hosts)) return;
+    delete hosts[hostId];
+    writeAll(hosts);
+  }
+
+  function readAll() {
+    try {
+      if (!fs.existsSync(filePath)) return {};
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      return data && typeof data === 'object' ? data : {};
+    } catch (err) {
+      console.warn(`Unable to read known hosts file ${filePath}:`, err.message);
+      return {};
+    }
+  }
+
+  function writeAll(hosts) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(hosts, null, 2));
+  }
+
+  return { get, set, remove };
+}
+
+module.exports = {
+  fingerprintHostKey,
+  hostKeyType,
+  createKnownHosts
+};
@@ -1,8 +1,14 @@
-const { app, BrowserWindow, Tray, Menu, ipcMain, nativeImage, shell } = require('electron');
+const { app, BrowserWindow, Tray, Menu, Notification, ipcMain, nativeImage, net, shell, session } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const crypto = require('crypto');
 const { Client } = require('ssh2');
+const { DEFAULT_ALERT_RULES, normalizeAlertRules, createAlertEngine } = require('./alerts');
+const { createSecretStore } = require('./secrets');
+const { fingerprintHostKey, hostKeyType, createKnownHosts } = require('./known-hosts');
+const { createWsClient } = require('./ws-client');
+const { validateSnapshot } = require('./protocol');
 
 // In dev we keep config in the project `config` folder.
 // In packaged builds we must write outside the ASAR, so we use the per-user data directory.
@@ -11,23 +17,89 @@ const CONFIG_DIR = app.isPackaged
   : path.join(__dirname, '..', 'config');
 const CONFIG_PATH = path.join(CONFIG_DIR, 'config.json');
 const CONFIG_TEMPLATE = path.join(__dirname, '..', 'config', 'config.example.json');
+const SECRETS_PATH = path.join(CONFIG_DIR, 'secrets.json');
+const KNOWN_HOSTS_PATH = path.join(CONFIG_DIR, 'known-hosts.json');
 const MIN_REFRESH_MS = 5_000;
-
+const DOCKER_ACTIONS = ['start', 'stop', 'restart', 'pause', 'unpause'];
+const VM_ACTIONS = ['start', 'shutdown', 'destroy', 'suspend', 'resume'];
+// Shell script that gathers a whole SSH refresh in one exec, see src/collector.sh
+const COLLECTOR_SCRIPT = fs.readFileSync(path.join(__dirname, 'collector.sh'), 'utf-8');
+// Servers other than the active one are refreshed in the background for the tray summary
+const BACKGROUND_POLL_TICK_MS = 5_000;
+const BACKGROUND_POLL_MIN_MS = 30_000;
+const BACKGROUND_FETCH_TIMEOUT_MS = 10_000;
+// How often the WS stream asks for each topic while the popover is open (ms)
+const WS_TOPIC_INTERVALS_MS = {
+  host: 1_000,
+  network: 1_000,
+  array: 5_000,
+  // The WS server re-reads disks.ini every 10s and virsh every 60s anyway
+  disks: 10_000,
+  containers: 1_000,
+  vms: 10_000
+};
+// Topics only alert rules need (panel off or popover hidden) arrive at the background poll cadence
+const WS_ALERT_TOPIC_INTERVAL_MS = BACKGROUND_POLL_MIN_MS;
+const TRAY_TOOLTIP_MAX_LENGTH = 127;
+// A dropped SSH session is reopened after 1s, 2s, 4s, … up to a minute
+const SSH_RECONNECT_MIN_MS = 1_000;
+const SSH_RECONNECT_MAX_MS = 60_000;
+// OpenSSH allows 10 open channels per connection by default (MaxSessions)
+const MAX_CHANNELS_PER_SESSION = 8;
+
+// App-wide settings; everything connection-specific lives in a server profile
 const DEFAULT_CONFIG = {
+  refreshIntervalSeconds: 30,
+  showDockerContainers: true,
+  showVmList: true,
+  showStoppedServices: false,
+  alerts: DEFAULT_ALERT_RULES
+};
+
+const DEFAULT_SERVER = {
   host: '',
   port: 22,
   username: 'root',
   authMethod: 'password',
-  refreshIntervalSeconds: 30,
   networkInterface: 'eth0',
-  showDockerContainers: true,
-  showVmList: true,
-  showStoppedServices: false,
   transport: 'ssh',
-  wsUrl: ''
+  wsUrl: '',
+  wsToken: '',
+  wsCertFingerprint: '',
+  // "ws-ssh" only: how long the WS stream may be down before SSH takes over
+  wsFallbackSeconds: 30
+};
+
+const SERVER_FIELDS = [
+  'id',
+  'name',
+  'host',
+  'port',
+  'username',
+  'authMethod',
+  'password',
+  // References into the secret store; replace `password` / `wsToken` wherever safeStorage works
+  'passwordRef',
+  'privateKeyPath',
+  'networkInterface',
+  'dashboardUrl',
+  'dockerOrder',
+  'transport',
+  'wsUrl',
+  'wsToken',
+  'wsTokenRef',
+  'wsCertFingerprint',
+  'wsFallbackSeconds'
+];
+
+// Credential fields -> the field holding their secret store reference
+const SECRET_FIELDS = {
+  password: 'passwordRef',
+  wsToken: 'wsTokenRef'
 };
 
 const CONFIG_MUTABLE_FIELDS = [
+  'name',
   'host',
   'port',
   'username',
@@ -42,16 +114,26 @@ const CONFIG_MUTABLE_FIELDS = [
   'showStoppedServices',
   'dockerOrder',
   'transport',
-  'wsUrl'
+  'wsUrl',
+  'wsToken',
+  'wsCertFingerprint',
+  'wsFallbackSeconds',
+  'alerts'
 ];
 
 let tray = null;
 let trayWindow = null;
+// Effective settings of the active server: app-wide settings, its profile, plus `servers`
 let config = loadConfig();
-let statsCache = null;
-let lastFetchTs = 0;
-let lastNetSample = null;
-let lastDockerStats = { timestamp: 0, perContainer: new Map() };
+const secretStore = createSecretStore(SECRETS_PATH);
+const knownHosts = createKnownHosts(KNOWN_HOSTS_PATH);
+// host:port -> the host key we refused last (unknown or changed), until it's trusted or succeeds
+const hostKeyProblems = new Map();
+// SSH client -> { active, waiting } channel slots, see withChannelSlot()
+const channelSlots = new WeakMap();
+// Server id -> collection state (stats cache, rate samples, alerts)
+const serverRuntimes = new Map();
+let trayAlerting = false;
 
 const gotLock = app.requestSingleInstanceLock();
 if (!gotLock) {
@@ -67,10 +149,22 @@ app.on('second-instance', () => {
 
 app.whenReady().then(() => {
   app.setAppUserModelId('com.unraid.companion');
+  migratePlaintextSecrets();
+  installCertificatePinning();
   createTrayWindow();
   createTray();
   registerIpcHandlers();
   watchConfig();
+  syncTransports();
+  setInterval(pollBackgroundServers, BACKGROUND_POLL_TICK_MS);
+  pollBackgroundServers();
+});
+
+app.on('before-quit', () => {
+  serverRuntimes.forEach((runtime) => {
+    closeSshSession(runtime);
+    closeWsStream(runtime);
+  });
 });
 
 app.on('window-all-closed', (event) => {
@@ -101,7 +195,9 @@ function createTrayWindow() {
       preload: path.join(__dirname, 'preload.js'),
       nodeIntegration: false,
       contextIsolation: true,
-      sandbox: false
+      sandbox: false,
+      // Keep refresh timers running while hidden so alerts still fire
+      backgroundThrottling: false
     }
   });
 
@@ -112,6 +208,9 @@ function createTrayWindow() {
     trayWindow.hide();
   });
 
+  trayWindow.on('show', syncWsSubscription);
+  trayWindow.on('hide', syncWsSubscription);
+
   trayWindow.on('closed', () => {
     trayWindow = null;
   });
@@ -120,10 +219,7 @@ function createTrayWindow() {
 function createTray() {
   if (tray) return;
 
-  const image = nativeImage.createFromDataURL(buildTrayImage());
-  image.setTemplateImage(true);
-
-  tray = new Tray(image);
+  tray = new Tray(buildTrayIcon(false));
   tray.setToolTip('Unraid Companion');
 
   tray.on('click', (_, bounds) => toggleWindow(bounds));
@@ -131,16 +227,27 @@ function createTray() {
 }
 
 function buildTrayMenu() {
+  const serverItems = config.servers.map((server) => ({
+    label: `${server.name} – ${summarizeServer(server)}`,
+    type: 'radio',
+    checked: server.id === config.activeServerId,
+    click: () => {
+      switchServer(server.id);
+      showTrayWindow();
+    }
+  }));
+
   return Menu.buildFromTemplate([
+    ...serverItems,
+    { type: 'separator' },
     {
       label: 'Refresh Now',
-      click: async () => {
-        statsCache = null;
-        try {
-          await fetchStats();
-        } catch (err) {
-          console.error('Manual refresh failed', err);
-        }
+      click: () => {
+        config.servers.filter(isServerConfigured).forEach((server) => {
+          collectServerStats(getServerConfig(server.id), { immediate: true }).catch((err) => {
+            console.error(`Manual refresh of ${server.name} failed`, err.message);
+          });
+        });
       }
     },
     { type: 'separator' },
@@ -177,6 +284,15 @@ function toggleWindow(bounds) {
   trayWindow.focus();
 }
 
+function showTrayWindow() {
+  if (!trayWindow) {
+    createTrayWindow();
+  }
+  if (!trayWindow.isVisible()) {
+    toggleWindow(tray ? tray.getBounds() : {});
+  }
+}
+
 function calculateWindowPosition(bounds = {}) {
   const trayBounds = bounds;
   const windowBounds = trayWindow.getBounds();
@@ -191,22 +307,24 @@ function calculateWindowPosition(bounds = {}) {
 }
 
 function registerIpcHandlers() {
+  // The stats themselves arrive as a `stats:update` event, see sendStats()
   ipcMain.handle('stats:fetch', async (_event, options = {}) => {
-    const force = Boolean(options.force);
-    const intervalMs = Math.max(MIN_REFRESH_MS, (config.refreshIntervalSeconds || 30) * 1000);
-    if (!force && statsCache && Date.now() - lastFetchTs < intervalMs) {
-      return { stats: statsCache, cached: true };
-    }
-
-    const stats = await fetchStats();
-    statsCache = stats;
-    lastFetchTs = Date.now();
+    const runtime = getServerRuntime(config.activeServerId);
+    await getTransport(config).refresh(config, runtime, { force: Boolean(options.force) });
+    return true;
+  });
 
-    if (tray) {
-      tray.setToolTip(`CPU ${stats.cpuPercent.toFixed(1)}% ▪ Uptime ${stats.uptimeHuman}`);
+  ipcMain.handle('history:get', async (_event, payload = {}) => {
+    try {
+      const request = {};
+      ['since', 'until', 'resolutionMs'].forEach((field) => {
+        if (Number.isFinite(payload[field])) request[field] = payload[field];
+      });
+      const runtime = getServerRuntime(config.activeServerId);
+      return await getTransport(config).request(config, runtime, 'history:get', request);
+    } catch (err) {
+      return { success: false, message: err.message || 'History request failed.' };
     }
-
-    return { stats, cached: false };
   });
 
   ipcMain.handle('config:get', () => sanitizeConfig(config));
@@ -216,10 +334,11 @@ function registerIpcHandlers() {
   ipcMain.handle('config:update', async (_event, payload = {}) => {
     try {
       const normalized = normalizeConfigPayload(payload);
+      const before = getServerConfig(config.activeServerId);
       persistUserConfig(normalized);
       config = loadConfig();
-      statsCache = null;
-      lastNetSample = null;
+      applyConfigChange(before, getServerConfig(config.activeServerId));
+      syncTransports();
       return { success: true, config: sanitizeConfig(config) };
     } catch (err) {
       console.error('Config update failed:', err);
@@ -227,24 +346,860 @@ function registerIpcHandlers() {
     }
   });
 
-  ipcMain.handle('open-external', (_event, url) => {
-    if (typeof url !== 'string' || !url.trim()) {
-      return false;
+  ipcMain.handle('servers:list', () => listServers());
+
+  ipcMain.handle('connection:state', () => describeConnection(config.activeServerId));
+
+  ipcMain.handle('hostkey:trust', (_event, payload = {}) => {
+    try {
+      trustHostKey(payload.serverId, payload.fingerprint);
+      return { success: true };
+    } catch (err) {
+      return { success: false, message: err.message || 'Unable to trust host key.' };
+    }
+  });
+
+  ipcMain.handle('hostkey:forget', (_event, serverId) => {
+    try {
+      forgetHostKey(serverId);
+      return { success: true };
+    } catch (err) {
+      return { success: false, message: err.message || 'Unable to forget host key.' };
+    }
+  });
+
+  ipcMain.handle('fleet:fetch', (_event, options = {}) => fetchFleet(Boolean(options.force)));
+
+  ipcMain.handle('servers:switch', (_event, id) => {
+    try {
+      switchServer(id);
+      return { success: true, ...listServers() };
+    } catch (err) {
+      return { success: false, message: err.message || 'Unable to switch server.' };
+    }
+  });
+
+  ipcMain.handle('servers:add', (_event, payload = {}) => {
+    try {
+      addServer(payload.name);
+      return { success: true, ...listServers() };
+    } catch (err) {
+      console.error('Adding server failed:', err);
+      return { success: false, message: err.message || 'Unable to add server.' };
+    }
+  });
+
+  ipcMain.handle('servers:remove', (_event, id) => {
+    try {
+      removeServer(id);
+      return { success: true, ...listServers() };
+    } catch (err) {
+      console.error('Removing server failed:', err);
+      return { success: false, message: err.message || 'Unable to remove server.' };
+    }
+  });
+
+  ipcMain.handle('docker:action', async (_event, payload = {}) => {
+    try {
+      const { id, action } = normalizeContainerAction(payload);
+      const runtime = getServerRuntime(config.activeServerId);
+      runtime.alertEngine.noteUserAction('container', id);
+      return await getTransport(config).request(config, runtime, 'docker:action', { id, action });
+    } catch (err) {
+      console.error('Container action failed:', err);
+      return { success: false, message: err.message || 'Container action failed.' };
+    }
+  });
+
+  ipcMain.handle('vm:action', async (_event, payload = {}) => {
+    try {
+      const { name, action } = normalizeVmAction(payload);
+      const runtime = getServerRuntime(config.activeServerId);
+      runtime.alertEngine.noteUserAction('vm', name);
+      return await getTransport(config).request(config, runtime, 'vm:action', { name, action });
+    } catch (err) {
+      console.error('VM action failed:', err);
+      return { success: false, message: err.message || 'VM action failed.' };
+    }
+  });
+
+  ipcMain.handle('open-external', (_event, url) => {
+    if (typeof url !== 'string' || !url.trim()) {
+      return false;
+    }
+    try {
+      shell.openExternal(url);
+      return true;
+    } catch (err) {
+      console.error('Failed to open external URL', url, err.message);
+      return false;
+    }
+  });
+}
+
+function getServerRuntime(id) {
+  let runtime = serverRuntimes.get(id);
+  if (!runtime) {
+    runtime = {
+      statsCache: null,
+      lastFetchTs: 0,
+      lastAttemptTs: 0,
+      // Collection in progress; concurrent callers share it instead of running it twice
+      inflight: null,
+      // Long-lived SSH session, see getSshConnection()
+      ssh: null,
+      // Snapshot stream of the active WS server, see startWsStream()
+      ws: null,
+      // Message of the last failed collection; cleared by the next success
+      error: null,
+      lastNetSample: null,
+      lastDockerStats: { timestamp: 0, perContainer: new Map() },
+      // What the WS server has for alert rules to watch, see updateAlertInputs(); unknown until seen
+      alertInputs: { diskTemps: null, vms: null },
+      alertEngine: createAlertEngine({
+        notify: (alert) => showAlertNotification(id, alert),
+        onActiveChange: updateTrayState
+      })
+    };
+    serverRuntimes.set(id, runtime);
+  }
+  return runtime;
+}
+
+function resetServerRuntime(id) {
+  const runtime = serverRuntimes.get(id);
+  if (!runtime) return;
+  serverRuntimes.delete(id);
+  closeSshSession(runtime);
+  closeWsStream(runtime);
+  runtime.alertEngine.reset();
+  updateTrayState();
+}
+
+// Only a connection change starts the server over; other edits (e.g. reordering containers) keep the
+// session, the stream and any firing alerts
+function applyConfigChange(before, after) {
+  if (!after) return;
+  if (connectionKey(before) !== connectionKey(after)) {
+    resetServerRuntime(after.id);
+    return;
+  }
+  const runtime = serverRuntimes.get(after.id);
+  if (runtime) {
+    // Collection options such as showStoppedServices may have changed
+    runtime.lastFetchTs = 0;
+  }
+  if (JSON.stringify(before.alerts) !== JSON.stringify(after.alerts)) {
+    serverRuntimes.forEach((entry) => entry.alertEngine.reset());
+  }
+}
+
+function connectionKey(server) {
+  return server ? JSON.stringify([sshSessionKey(server), wsStreamKey(server)]) : null;
+}
+
+// One collection for any server: SSH directly, or the WS server's REST snapshot.
+// `immediate` skips a pending SSH reconnect backoff (user-initiated refreshes).
+function collectServerStats(server, options = {}) {
+  const runtime = getServerRuntime(server.id);
+  if (!runtime.inflight) {
+    runtime.inflight = runCollection(server, runtime, options).finally(() => {
+      runtime.inflight = null;
+    });
+  }
+  return runtime.inflight;
+}
+
+async function runCollection(server, runtime, options) {
+  runtime.lastAttemptTs = Date.now();
+  try {
+    const stats = await fetchServerStats(server, runtime, options);
+    recordServerStats(server.id, runtime, stats);
+    return stats;
+  } catch (err) {
+    // A runtime replaced mid-fetch (profile edited or removed) keeps its error to itself
+    if (serverRuntimes.get(server.id) === runtime) {
+      runtime.error = err.message || 'Unable to reach server.';
+      updateTrayState();
+    }
+    throw err;
+  }
+}
+
+// One-shot collection. A "ws-ssh" profile asks the WS server first and falls back to SSH,
+// skipping the WS attempt while its stream has already handed over to SSH.
+async function fetchServerStats(server, runtime, options) {
+  if (server.transport === 'ws') {
+    return fetchWsSnapshot(server);
+  }
+  if (server.transport === 'ws-ssh' && !runtime.ws?.usingSsh) {
+    try {
+      return await fetchWsSnapshot(server);
+    } catch (err) {
+      console.warn(`WS server of ${server.name} unreachable, collecting over SSH:`, err.message);
+    }
+  }
+  return fetchStats(server, options);
+}
+
+function recordServerStats(id, runtime, stats) {
+  if (serverRuntimes.get(id) !== runtime) return;
+  runtime.statsCache = stats;
+  runtime.lastFetchTs = Date.now();
+  runtime.error = null;
+  try {
+    runtime.alertEngine.evaluate(stats, normalizeAlertRules(config.alerts));
+  } catch (err) {
+    console.warn('Alert evaluation failed:', err.message);
+  }
+  updateTrayState();
+  if (id === config.activeServerId) {
+    sendStats(id, stats, false);
+  }
+}
+
+// The one way stats reach the renderer, whichever transport produced them
+function sendStats(serverId, stats, cached) {
+  if (trayWindow) {
+    trayWindow.webContents.send('stats:update', { serverId, stats, cached });
+  }
+}
+
+// How the active server's stats reach the app. SSH is polled: the renderer's refresh timer
+// calls refresh(), which collects over the shared session. WS is pushed: start() opens a stream
+// and every snapshot is recorded as it arrives. Both end in recordServerStats() -> sendStats().
+// request() takes the WS server's request types (docker:action, vm:action, history:get).
+// "ws-ssh" is the WS stream that hands over to SSH while it's down, see updateWsFallback().
+const TRANSPORTS = {
+  ssh: {
+    start: () => {},
+    refresh: refreshSshStats,
+    request: sshRequest,
+    describe: (runtime) => ({ transport: 'ssh', ...describeSession(runtime?.ssh) })
+  },
+  ws: {
+    start: startWsStream,
+    refresh: refreshWsStream,
+    request: wsRequest,
+    describe: (runtime) => ({
+      transport: 'ws',
+      ...(runtime?.ws ? runtime.ws.client.getState() : describeSession(null))
+    })
+  },
+  'ws-ssh': {
+    start: startWsStream,
+    refresh: (server, runtime, options = {}) => {
+      if (!runtime.ws?.usingSsh) {
+        return refreshWsStream(server, runtime);
+      }
+      if (options.force) {
+        runtime.ws.client.reconnectNow();
+      }
+      return refreshSshStats(server, runtime, options);
+    },
+    request: (server, runtime, type, payload) =>
+      (runtime.ws?.usingSsh ? sshRequest : wsRequest)(server, runtime, type, payload),
+    describe: (runtime) =>
+      runtime?.ws?.usingSsh
+        ? { ...TRANSPORTS.ssh.describe(runtime), fallbackReason: runtime.ws.client.getState().error }
+        : TRANSPORTS.ws.describe(runtime)
+  }
+};
+
+function getTransport(server) {
+  return Object.hasOwn(TRANSPORTS, server.transport) ? TRANSPORTS[server.transport] : TRANSPORTS.ssh;
+}
+
+// Profiles whose stats come from the companion WS server, with or without SSH fallback
+function usesWsServer(server) {
+  return server.transport === 'ws' || server.transport === 'ws-ssh';
+}
+
+// Only the active server keeps a stream open; the others are polled over REST in the background
+function syncTransports() {
+  const server = getServerConfig(config.activeServerId);
+  serverRuntimes.forEach((runtime, id) => {
+    if (id !== server?.id || !usesWsServer(server)) {
+      closeWsStream(runtime);
+    }
+  });
+  if (server && isServerConfigured(server)) {
+    getTransport(server).start(server, getServerRuntime(server.id));
+  }
+  notifyConnectionState(config.activeServerId);
+}
+
+// Results younger than the refresh interval are served from the cache unless `force` is set
+async function refreshSshStats(server, runtime, { force = false } = {}) {
+  const intervalMs = Math.max(MIN_REFRESH_MS, (server.refreshIntervalSeconds || 30) * 1000);
+  if (!force && runtime.statsCache && Date.now() - runtime.lastFetchTs < intervalMs) {
+    sendStats(server.id, runtime.statsCache, true);
+    return;
+  }
+  await collectServerStats(server, { immediate: force });
+}
+
+async function sshRequest(server, runtime, type, payload) {
+  ensureConfig(server);
+  let command;
+  if (type === 'docker:action') {
+    command = `docker ${payload.action} ${payload.id}`;
+  } else if (type === 'vm:action') {
+    command = `virsh ${payload.action} ${shellQuote(payload.name)}`;
+  } else {
+    return { success: false, message: `${type} is only available from the WS server.` };
+  }
+  await withSshConnection((conn) => runCommand(conn, command), server);
+  runtime.lastFetchTs = 0;
+  return { success: true };
+}
+
+function startWsStream(server, runtime) {
+  const key = wsStreamKey(server);
+  if (runtime.ws?.key === key) {
+    // Panel visibility or alert rules may have changed
+    runtime.ws.client.subscribe(wsTopics(runtime));
+    return;
+  }
+  closeWsStream(runtime);
+  let token;
+  try {
+    token = readServerSecret(server, 'wsToken');
+  } catch (err) {
+    runtime.error = err.message;
+    updateTrayState();
+    return;
+  }
+
+  const stream = {
+    key,
+    client: null,
+    fallbackMs: server.transport === 'ws-ssh' ? Math.max(5, server.wsFallbackSeconds || 30) * 1000 : 0,
+    fallbackTimer: null,
+    // Set while SSH stands in for the stream ("ws-ssh" only)
+    usingSsh: false
+  };
+  stream.client = createWsClient({
+    url: server.wsUrl,
+    token,
+    fingerprint: normalizeFingerprint(server.wsCertFingerprint),
+    topics: wsTopics(runtime),
+    onSnapshot: (snapshot) => {
+      if (snapshot && typeof snapshot === 'object') {
+        recordServerStats(server.id, runtime, snapshotToStats(snapshot));
+        if (updateAlertInputs(runtime, snapshot)) syncWsSubscription();
+      }
+    },
+    onState: ({ state, error }) => {
+      if (runtime.ws !== stream) return;
+      if (stream.fallbackMs) {
+        updateWsFallback(server, runtime, stream, state);
+      }
+      // While SSH stands in, its own collections decide whether the server is reachable
+      const down = ['reconnecting', 'failed'].includes(state);
+      if (down && !stream.usingSsh && serverRuntimes.get(server.id) === runtime) {
+        runtime.error = error;
+        updateTrayState();
+      }
+      notifyConnectionState(server.id);
+    }
+  });
+  runtime.ws = stream;
+  stream.client.connect();
+}
+
+// A stream that stays down for `wsFallbackSeconds` hands over to SSH polling. The WS client
+// keeps retrying in the meantime, and its next successful connect takes over again.
+function updateWsFallback(server, runtime, stream, state) {
+  if (state === 'connected') {
+    clearTimeout(stream.fallbackTimer);
+    stream.fallbackTimer = null;
+    if (stream.usingSsh) {
+      console.log(`WS server of ${server.name} is back; leaving SSH fallback.`);
+      stream.usingSsh = false;
+      // Let a collection that is still running finish instead of failing it
+      Promise.resolve(runtime.inflight)
+        .catch(() => {})
+        .then(() => {
+          if (runtime.ws === stream && !stream.usingSsh) closeSshSession(runtime);
+        });
+    }
+    return;
+  }
+  if (stream.usingSsh || stream.fallbackTimer) return;
+  stream.fallbackTimer = setTimeout(() => {
+    stream.fallbackTimer = null;
+    if (runtime.ws !== stream) return;
+    console.warn(`WS server of ${server.name} unreachable for ${stream.fallbackMs / 1000}s; falling back to SSH.`);
+    stream.usingSsh = true;
+    notifyConnectionState(server.id);
+  }, stream.fallbackMs);
+}
+
+// The panels on screen at full rate, plus whatever the enabled alert rules read at a slow rate.
+// With the popover hidden only the alert topics remain, so with alerts off the stream pauses.
+function wsTopics(runtime) {
+  const visible = Boolean(trayWindow && trayWindow.isVisible());
+  const topics = {};
+  // Checking for disk temperatures / VMs again whenever the popover is open notices new ones
+  wsAlertTopics(visible ? null : runtime).forEach((topic) => {
+    topics[topic] = WS_ALERT_TOPIC_INTERVAL_MS;
+  });
+  if (!visible) return topics;
+  const shown = ['host', 'network', 'array', 'disks'];
+  if (config.showDockerContainers) shown.push('containers');
+  if (config.showVmList) shown.push('vms');
+  shown.forEach((topic) => {
+    topics[topic] = WS_TOPIC_INTERVALS_MS[topic];
+  });
+  return topics;
+}
+
+// Topics the alert engine (src/alerts.js) reads for the enabled rules, minus (given a runtime) those
+// with nothing to watch on that server: no disk reports a temperature, or there are no VMs
+function wsAlertTopics(runtime) {
+  const rules = normalizeAlertRules(config.alerts);
+  if (!rules.enabled) return [];
+  const inputs = runtime?.alertInputs || {};
+  const topics = [];
+  if (rules.cpuPercent || rules.memoryPercent) topics.push('host');
+  if (rules.arrayPercent || rules.parityErrors) topics.push('array');
+  if (rules.diskTempC && inputs.diskTemps !== false) topics.push('disks');
+  if (rules.containerStopped) topics.push('containers');
+  if (rules.vmStateChange && inputs.vms !== false) topics.push('vms');
+  return topics;
+}
+
+// Learns from snapshots that carry the topic whether those rules have anything to watch.
+// Returns whether anything changed.
+function updateAlertInputs(runtime, snapshot) {
+  const { alertInputs } = runtime;
+  const previous = { ...alertInputs };
+  if (Array.isArray(snapshot.disks)) {
+    // A spun-down disk reports no temperature until it spins up again
+    alertInputs.diskTemps = snapshot.disks.some((disk) => Number.isFinite(disk.tempC) || disk.spunDown);
+  }
+  if (Array.isArray(snapshot.vms)) {
+    alertInputs.vms = snapshot.vms.length > 0;
+  }
+  return alertInputs.diskTemps !== previous.diskTemps || alertInputs.vms !== previous.vms;
+}
+
+function syncWsSubscription() {
+  const runtime = serverRuntimes.get(config.activeServerId);
+  runtime?.ws?.client.subscribe(wsTopics(runtime));
+}
+
+// A manual refresh retries a dropped stream right away; the next snapshot follows on its own
+function refreshWsStream(server, runtime) {
+  if (!server.wsUrl) {
+    throw new Error(`WebSocket URL is not configured for ${server.name}.`);
+  }
+  if (runtime.ws) {
+    runtime.ws.client.reconnectNow();
+  } else {
+    startWsStream(server, runtime);
+  }
+  if (runtime.statsCache) {
+    sendStats(server.id, runtime.statsCache, true);
+  }
+}
+
+// Resolves with the server's `{ success, message, ... }` response
+async function wsRequest(_server, runtime, type, payload) {
+  if (!runtime.ws) {
+    throw new Error('WebSocket is not connected.');
+  }
+  return runtime.ws.client.request(type, payload);
+}
+
+function closeWsStream(runtime) {
+  const stream = runtime.ws;
+  if (!stream) return;
+  runtime.ws = null;
+  clearTimeout(stream.fallbackTimer);
+  stream.client.close();
+}
+
+// Anything that changes where or how we connect replaces the stream
+function wsStreamKey(server) {
+  return JSON.stringify([
+    server.transport,
+    server.wsFallbackSeconds,
+    server.wsUrl,
+    server.wsTokenRef || server.wsToken,
+    normalizeFingerprint(server.wsCertFingerprint)
+  ]);
+}
+
+// The active server is kept fresh by its transport; everything else is polled from here
+function pollBackgroundServers() {
+  const intervalMs = Math.max(BACKGROUND_POLL_MIN_MS, (config.refreshIntervalSeconds || 30) * 1000);
+  const now = Date.now();
+  config.servers.forEach((server) => {
+    if (server.id === config.activeServerId || !isServerConfigured(server)) return;
+    const runtime = getServerRuntime(server.id);
+    if (runtime.inflight || now - runtime.lastAttemptTs < intervalMs) return;
+    collectServerStats(getServerConfig(server.id)).catch((err) =>
+      console.warn(`Background refresh of ${server.name} failed:`, err.message)
+    );
+  });
+}
+
+async function fetchWsSnapshot(server) {
+  const baseUrl = toHttpUrl(server.wsUrl);
+  if (!baseUrl) {
+    throw new Error(`WebSocket URL is not configured for ${server.name}.`);
+  }
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), BACKGROUND_FETCH_TIMEOUT_MS);
+  try {
+    const token = readServerSecret(server, 'wsToken');
+    const response = await net.fetch(new URL('/api/snapshot', baseUrl).toString(), {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      signal: controller.signal
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(body.error || `WS server answered HTTP ${response.status}.`);
+    }
+    // REST bodies are bare snapshots (no envelope), but follow the same schema
+    const problems = validateSnapshot(body);
+    if (problems.length) {
+      throw new Error(
+        `${server.name} sent a snapshot this app can't read (${problems[0]}). ` +
+          'Update whichever of the app and the WS server is older.'
+      );
+    }
+    return snapshotToStats(body);
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw new Error(`Timed out reaching ${server.name}.`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// The REST API shares the WS server's port: ws:// -> http://, wss:// -> https://
+function toHttpUrl(wsUrl) {
+  if (!wsUrl) return null;
+  try {
+    const url = new URL(wsUrl);
+    url.protocol = url.protocol === 'wss:' ? 'https:' : 'http:';
+    return url;
+  } catch {
+    return null;
+  }
+}
+
+// WS snapshots and the SSH collector's output share a shape; this is what the rest of the app uses
+function snapshotToStats(snapshot = {}) {
+  const host = snapshot.host || {};
+  return {
+    cpuPercent: Number.isFinite(host.cpuPercent) ? host.cpuPercent : null,
+    uptimeSeconds: host.uptimeSeconds || 0,
+    uptimeHuman: formatDuration(host.uptimeSeconds || 0),
+    memory: host.memory || null,
+    arrayUsage: snapshot.arrayUsage || null,
+    parity: snapshot.parity || null,
+    disks: snapshot.disks || [],
+    containers: snapshot.containers || [],
+    vms: snapshot.vms || [],
+    network: snapshot.network || null,
+    hostname: host.hostname || null,
+    fetchedAt: snapshot.ts || new Date().toISOString()
+  };
+}
+
+function showAlertNotification(serverId, { title, body }) {
+  const server = config.servers.find((entry) => entry.id === serverId);
+  const label = server && config.servers.length > 1 ? `${server.name}: ${title}` : title;
+  console.log(`Alert: ${label} - ${body}`);
+  if (!Notification.isSupported()) return;
+  const notification = new Notification({ title: label, body, silent: false });
+  notification.on('click', () => {
+    if (server) switchServer(server.id);
+    showTrayWindow();
+  });
+  notification.show();
+}
+
+// Badge when any server has a firing alert or can't be reached; the tooltip lists them all
+function updateTrayState() {
+  if (!tray) return;
+  const alerting = config.servers.some((server) => {
+    const runtime = serverRuntimes.get(server.id);
+    return Boolean(runtime && (runtime.error || runtime.alertEngine.getActive().length));
+  });
+  if (alerting !== trayAlerting) {
+    trayAlerting = alerting;
+    tray.setImage(buildTrayIcon(alerting));
+  }
+  tray.setToolTip(buildTrayTooltip());
+}
+
+function buildTrayTooltip() {
+  let text;
+  if (config.servers.length === 1) {
+    const [server] = config.servers;
+    const runtime = serverRuntimes.get(server.id);
+    text = runtime?.statsCache || runtime?.error ? summarizeServer(server) : 'Unraid Companion';
+  } else {
+    text = config.servers.map((server) => `${server.name}: ${summarizeServer(server)}`).join('\n');
+  }
+  // Windows truncates longer tooltips on its own, mid-character
+  return text.length > TRAY_TOOLTIP_MAX_LENGTH ? `${text.slice(0, TRAY_TOOLTIP_MAX_LENGTH - 1)}…` : text;
+}
+
+function summarizeServer(server) {
+  if (!isServerConfigured(server)) return 'not configured';
+  const runtime = serverRuntimes.get(server.id);
+  if (runtime?.error) return 'unreachable';
+  const stats = runtime?.statsCache;
+  if (!stats) return 'waiting for data';
+  const cpu = Number.isFinite(stats.cpuPercent) ? `CPU ${stats.cpuPercent.toFixed(1)}%` : 'CPU --';
+  const active = runtime.alertEngine.getActive();
+  if (active.length) {
+    return `⚠ ${active.map((alert) => alert.title).join(', ')} ▪ ${cpu}`;
+  }
+  return `${cpu} ▪ Uptime ${stats.uptimeHuman || '--'}`;
+}
+
+// One row per server for the fleet view. Every server is collected at the same time; results
+// younger than the refresh interval are reused unless `force` is set.
+async function fetchFleet(force) {
+  const intervalMs = Math.max(MIN_REFRESH_MS, (config.refreshIntervalSeconds || 30) * 1000);
+  const servers = config.servers;
+  await Promise.allSettled(
+    servers.filter(isServerConfigured).map((server) => {
+      const runtime = getServerRuntime(server.id);
+      if (!force && runtime.statsCache && !runtime.error && Date.now() - runtime.lastFetchTs < intervalMs) {
+        return null;
+      }
+      return collectServerStats(getServerConfig(server.id), { immediate: force });
+    })
+  );
+
+  return {
+    activeServerId: config.activeServerId,
+    servers: servers.map((server) => buildFleetRow(server))
+  };
+}
+
+function buildFleetRow(server) {
+  const row = {
+    id: server.id,
+    name: server.name,
+    transport: server.transport,
+    configured: isServerConfigured(server),
+    reachable: false,
+    error: null,
+    hostname: null,
+    cpuPercent: null,
+    memoryPercent: null,
+    arrayPercent: null,
+    containersRunning: null,
+    containersTotal: null,
+    alerts: [],
+    fetchedAt: null
+  };
+  const runtime = serverRuntimes.get(server.id);
+  if (!row.configured || !runtime) return row;
+
+  row.error = runtime.error;
+  row.alerts = runtime.alertEngine.getActive().map((alert) => alert.title);
+  const stats = runtime.statsCache;
+  if (stats) {
+    const containers = Array.isArray(stats.containers) ? stats.containers : [];
+    row.reachable = !runtime.error;
+    row.hostname = stats.hostname || null;
+    row.cpuPercent = Number.isFinite(stats.cpuPercent) ? stats.cpuPercent : null;
+    row.memoryPercent = Number.isFinite(stats.memory?.usedPercent) ? stats.memory.usedPercent : null;
+    row.arrayPercent = Number.isFinite(stats.arrayUsage?.usedPercent) ? stats.arrayUsage.usedPercent : null;
+    row.containersRunning = containers.filter((container) => container.running).length;
+    row.containersTotal = containers.length;
+    row.fetchedAt = stats.fetchedAt || null;
+  }
+  return row;
+}
+
+function isServerConfigured(server) {
+  return usesWsServer(server) ? Boolean(server.wsUrl) : Boolean(server.host);
+}
+
+// Effective settings for one profile: app-wide settings plus that profile
+function getServerConfig(id) {
+  const server = config.servers.find((entry) => entry.id === id);
+  return server ? { ...omitServerFields(config), ...server } : null;
+}
+
+function listServers() {
+  return {
+    activeServerId: config.activeServerId,
+    servers: config.servers.map((server) => ({
+      id: server.id,
+      name: server.name,
+      transport: server.transport,
+      summary: summarizeServer(server)
+    }))
+  };
+}
+
+function switchServer(id) {
+  if (!config.servers.some((server) => server.id === id)) {
+    throw new Error('Unknown server.');
+  }
+  if (id === config.activeServerId) return;
+  updateUserConfig((next) => {
+    next.activeServerId = id;
+  });
+  config = loadConfig();
+  syncTransports();
+  notifyServersChanged();
+}
+
+// New profiles start empty and become active, so Settings opens on them
+function addServer(name) {
+  const id = crypto.randomBytes(4).toString('hex');
+  updateUserConfig((next) => {
+    const label = String(name ?? '').trim() || `Server ${next.servers.length + 1}`;
+    next.servers.push({ id, name: label });
+    next.activeServerId = id;
+  });
+  config = loadConfig();
+  syncTransports();
+  updateTrayState();
+}
+
+function removeServer(id) {
+  if (!config.servers.some((server) => server.id === id)) {
+    throw new Error('Unknown server.');
+  }
+  if (config.servers.length === 1) {
+    throw new Error('The last server cannot be removed.');
+  }
+  updateUserConfig((next) => {
+    next.servers = next.servers.filter((server) => {
+      if (server.id !== id) return true;
+      Object.values(SECRET_FIELDS).forEach((refField) => secretStore.remove(server[refField]));
+      return false;
+    });
+    if (next.activeServerId === id) {
+      next.activeServerId = next.servers[0].id;
+    }
+  });
+  config = loadConfig();
+  resetServerRuntime(id);
+  syncTransports();
+}
+
+// Lets the renderer follow switches made from the tray menu or a notification
+function notifyServersChanged() {
+  if (trayWindow) {
+    trayWindow.webContents.send('servers:changed', listServers());
+  }
+}
+
+// When a fingerprint is configured, the WS server's certificate is trusted if and only if it
+// matches. This is what makes self-signed certs from the companion container usable.
+function installCertificatePinning() {
+  session.defaultSession.setCertificateVerifyProc((request, callback) => {
+    const pinned = findPinnedFingerprint(request.hostname);
+    if (!pinned) {
+      callback(-3); // default Chromium verification
+      return;
     }
+
+    let actual = null;
     try {
-      shell.openExternal(url);
-      return true;
+      actual = normalizeFingerprint(new crypto.X509Certificate(request.certificate.data).fingerprint256);
     } catch (err) {
-      console.error('Failed to open external URL', url, err.message);
-      return false;
+      console.warn('Unable to read WS server certificate:', err.message);
+    }
+
+    if (actual === pinned) {
+      callback(0);
+    } else {
+      console.error(`WS certificate fingerprint mismatch for ${request.hostname}: got ${actual || 'unknown'}`);
+      callback(-2);
     }
   });
 }
 
+function findPinnedFingerprint(hostname) {
+  const server = config.servers.find(
+    (entry) => normalizeFingerprint(entry.wsCertFingerprint) && getWsHostname(entry.wsUrl) === hostname
+  );
+  return server ? normalizeFingerprint(server.wsCertFingerprint) : null;
+}
+
+function getWsHostname(wsUrl) {
+  if (!wsUrl) return null;
+  try {
+    return new URL(wsUrl).hostname;
+  } catch {
+    return null;
+  }
+}
+
+function normalizeFingerprint(value) {
+  if (!value || typeof value !== 'string') return null;
+  const hex = value.replace(/^sha256[:/]?/i, '').replace(/[\s:]/g, '').toLowerCase();
+  return /^[0-9a-f]{64}$/.test(hex) ? hex : null;
+}
+
 function loadConfig() {
   const fallback = readJson(CONFIG_TEMPLATE) || {};
   const userConfig = readJson(CONFIG_PATH) || {};
-  return { ...DEFAULT_CONFIG, ...fallback, ...userConfig };
+  const servers = readServerProfiles(fallback, userConfig).map((profile) => ({ ...DEFAULT_SERVER, ...profile }));
+  const active = servers.find((server) => server.id === userConfig.activeServerId) || servers[0];
+  return {
+    ...DEFAULT_CONFIG,
+    ...omitServerFields(fallback),
+    ...omitServerFields(userConfig),
+    ...active,
+    activeServerId: active.id,
+    servers
+  };
+}
+
+// Profiles as stored. A config.json from before profiles existed has its server fields at the
+// top level; they become the first profile and move into `servers` on the next save.
+function readServerProfiles(fallback, userConfig) {
+  let profiles = [];
+  if (Array.isArray(userConfig.servers) && userConfig.servers.length) {
+    profiles = userConfig.servers;
+  } else if (SERVER_FIELDS.some((field) => field in userConfig)) {
+    profiles = [pickServerFields(userConfig)];
+  } else if (Array.isArray(fallback.servers)) {
+    profiles = fallback.servers;
+  }
+  profiles = profiles.filter((profile) => profile && typeof profile === 'object');
+  if (!profiles.length) {
+    profiles = [{}];
+  }
+
+  const usedIds = new Set();
+  return profiles.map((profile, index) => {
+    let id = typeof profile.id === 'string' && profile.id.trim() ? profile.id.trim() : `server-${index + 1}`;
+    if (usedIds.has(id)) {
+      id = `${id}-${index + 1}`;
+    }
+    usedIds.add(id);
+    const name = String(profile.name ?? '').trim() || profile.host || `Server ${index + 1}`;
+    const { id: _id, name: _name, ...fields } = pickServerFields(profile);
+    return { id, name, ...fields };
+  });
+}
+
+function pickServerFields(source) {
+  return Object.fromEntries(SERVER_FIELDS.filter((field) => field in source).map((field) => [field, source[field]]));
+}
+
+function omitServerFields(source) {
+  return Object.fromEntries(Object.entries(source).filter(([field]) => !SERVER_FIELDS.includes(field)));
 }
 
 function readJson(filePath) {
@@ -265,9 +1220,21 @@ function watchConfig() {
       if (filename && filename !== path.basename(CONFIG_PATH)) {
         return;
       }
+      const previousActiveId = config.activeServerId;
       config = loadConfig();
-      statsCache = null;
-      lastNetSample = null;
+      const ids = new Set(config.servers.map((server) => server.id));
+      Array.from(serverRuntimes.keys())
+        .filter((id) => !ids.has(id))
+        .forEach(resetServerRuntime);
+      serverRuntimes.forEach((runtime) => {
+        runtime.lastFetchTs = 0;
+        runtime.lastNetSample = null;
+      });
+      updateTrayState();
+      syncTransports();
+      if (config.activeServerId !== previousActiveId) {
+        notifyServersChanged();
+      }
       console.log('Config reloaded.');
     });
   } catch (err) {
@@ -275,632 +1242,458 @@ function watchConfig() {
   }
 }
 
-async function fetchStats() {
-  ensureConfig();
-  const sshConfig = buildSshConfig();
-  const conn = new Client();
+// Collects stats for one server profile (the active one unless told otherwise)
+async function fetchStats(server = config, options = {}) {
+  ensureConfig(server);
+  const runtime = getServerRuntime(server.id);
+  const conn = await getSshConnection(server, options);
+
+  const args = [
+    sanitizeInterfaceName(server.networkInterface) || 'eth0',
+    server.showDockerContainers ? 1 : 0,
+    server.showVmList ? 1 : 0,
+    server.showStoppedServices ? 1 : 0,
+    server.host
+  ];
+  const output = await runCommand(conn, `sh -s -- ${args.map(shellQuote).join(' ')}`, COLLECTOR_SCRIPT);
+  let snapshot;
+  try {
+    snapshot = JSON.parse(output);
+  } catch {
+    throw new Error(`Unexpected output from the stats collector on ${server.name}.`);
+  }
 
-  return new Promise((resolve, reject) => {
-    let resolved = false;
+  applyNetworkRates(snapshot.network, runtime);
+  applyContainerNetworkRates(snapshot.containers || [], runtime);
+  const stats = snapshotToStats(snapshot);
+  return { ...stats, hostname: stats.hostname || server.host };
+}
+
+// Runs `task(conn)` on the server's shared SSH session
+async function withSshConnection(task, server = config) {
+  const conn = await getSshConnection(server, { immediate: true });
+  return task(conn);
+}
+
+// One long-lived SSH session per server, shared by every collector and action (each command
+// gets its own channel). A session that drops or fails to open is retried with exponential
+// backoff; authentication and host key failures wait for the next explicit attempt instead.
+function getSshConnection(server, { immediate = false } = {}) {
+  const runtime = getServerRuntime(server.id);
+  const key = sshSessionKey(server);
+  if (runtime.ssh && runtime.ssh.key !== key) {
+    closeSshSession(runtime);
+  }
+  if (!runtime.ssh) {
+    runtime.ssh = {
+      key,
+      client: null,
+      conn: null,
+      connecting: null,
+      state: 'disconnected',
+      error: null,
+      attempt: 0,
+      retryTimer: null,
+      retryAt: null,
+      closed: false
+    };
+  }
+
+  const session = runtime.ssh;
+  if (session.conn) return Promise.resolve(session.conn);
+  if (session.connecting) return session.connecting;
+  if (session.retryTimer && !immediate) {
+    const seconds = Math.max(1, Math.ceil((session.retryAt - Date.now()) / 1000));
+    return Promise.reject(new Error(`${session.error || 'SSH connection lost'} (reconnecting in ${seconds}s)`));
+  }
+  return openSshSession(server, session);
+}
 
+function openSshSession(server, session) {
+  clearTimeout(session.retryTimer);
+  session.retryTimer = null;
+  session.retryAt = null;
+
+  let sshConfig;
+  try {
+    sshConfig = buildSshConfig(server);
+  } catch (err) {
+    session.error = err.message;
+    setSshState(server, session, 'failed');
+    return Promise.reject(err);
+  }
+
+  const conn = new Client();
+  session.client = conn;
+  setSshState(server, session, 'connecting');
+  let retryable = true;
+
+  session.connecting = new Promise((resolve, reject) => {
     conn
-      .on('ready', async () => {
-        try {
-          const [
-            cpuPercent,
-            uptimeSeconds,
-            memory,
-            arrayUsageRaw,
-            hostname,
-            containers,
-            network,
-            vms
-          ] = await Promise.all([
-            collectCpuPercent(conn),
-            collectUptimeSeconds(conn),
-            collectMemoryStats(conn),
-            collectArrayUsage(conn).catch((err) => {
-              console.warn('Array usage fetch failed:', err.message);
-              return null;
-            }),
-            runCommand(conn, 'hostname')
-              .then((val) => val.trim())
-              .catch(() => config.host),
-            config.showDockerContainers
-              ? collectDockerContainers(conn).catch((err) => {
-                  console.warn('Docker list fetch failed:', err.message);
-                  return [];
-                })
-              : [],
-            collectNetworkStats(conn).catch((err) => {
-              console.warn('Network stats fetch failed:', err.message);
-              return null;
-            }),
-            config.showVmList
-              ? collectVmList(conn).catch((err) => {
-                  console.warn('VM list fetch failed:', err.message);
-                  return [];
-                })
-              : []
-          ]);
-
-          const stats = {
-            cpuPercent,
-            uptimeSeconds,
-            uptimeHuman: formatDuration(uptimeSeconds),
-            memory,
-            arrayUsage: arrayUsageRaw || {
-              totalTb: 0,
-              usedTb: 0,
-              usedPercent: 0
-            },
-            containers: config.showDockerContainers ? containers || [] : [],
-            vms: config.showVmList ? vms || [] : [],
-            network: network || null,
-            hostname: hostname || config.host,
-            fetchedAt: new Date().toISOString()
-          };
-
-          resolved = true;
-          conn.end();
-          resolve(stats);
-        } catch (err) {
-          if (!resolved) {
-            resolved = true;
-            conn.end();
-            reject(err);
-          }
-        }
+      .on('ready', () => {
+        session.connecting = null;
+        session.conn = conn;
+        session.attempt = 0;
+        session.error = null;
+        setSshState(server, session, 'connected');
+        resolve(conn);
       })
       .on('error', (err) => {
-        if (!resolved) {
-          resolved = true;
-          try {
-            conn.end();
-          } catch (_) {
-            conn.destroy();
-          }
-          reject(err);
+        const error = explainSshError(err, server);
+        session.error = error.message;
+        // Retrying with the same credentials or host key can't succeed
+        if (err.level === 'client-authentication' || hostKeyProblems.has(knownHostId(server))) {
+          retryable = false;
+        }
+        if (session.connecting) {
+          session.connecting = null;
+          reject(error);
+        }
+      })
+      .on('close', () => {
+        if (session.conn === conn) {
+          session.conn = null;
+        }
+        if (session.connecting) {
+          session.connecting = null;
+          reject(new Error(session.error || 'SSH connection closed.'));
+        }
+        if (session.closed || session.client !== conn) return;
+        if (retryable) {
+          scheduleSshReconnect(server, session);
+        } else {
+          setSshState(server, session, 'failed');
         }
       })
       .connect(sshConfig);
   });
+  return session.connecting;
 }
 
-function ensureConfig() {
-  if (!config.host) {
-    throw new Error('Host is not configured. Update config/config.json first.');
-  }
-  if (!config.username) {
-    config.username = 'root';
-  }
+function scheduleSshReconnect(server, session) {
+  session.attempt += 1;
+  const delayMs = Math.min(SSH_RECONNECT_MAX_MS, SSH_RECONNECT_MIN_MS * 2 ** (session.attempt - 1));
+  session.retryAt = Date.now() + delayMs;
+  session.retryTimer = setTimeout(() => {
+    session.retryTimer = null;
+    // The profile may have been edited or removed in the meantime
+    const current = getServerConfig(server.id);
+    if (session.closed || !current || sshSessionKey(current) !== session.key) return;
+    openSshSession(current, session).catch(() => {
+      // The close handler schedules the next attempt
+    });
+  }, delayMs);
+  setSshState(server, session, 'reconnecting');
 }
 
-function buildSshConfig() {
-  const base = {
-    host: config.host,
-    port: config.port || 22,
-    username: config.username || 'root',
-    readyTimeout: 8000,
-    keepaliveInterval: 2000,
-    keepaliveCountMax: 2
-  };
-
-  if (config.authMethod === 'key') {
-    if (!config.privateKeyPath) {
-      throw new Error('privateKeyPath is required for key authentication.');
-    }
-    const expanded = expandPath(config.privateKeyPath);
-    base.privateKey = fs.readFileSync(expanded);
-    if (config.password) {
-      base.passphrase = config.password;
+function closeSshSession(runtime) {
+  const session = runtime.ssh;
+  if (!session) return;
+  runtime.ssh = null;
+  session.closed = true;
+  clearTimeout(session.retryTimer);
+  if (session.client) {
+    try {
+      session.client.end();
+    } catch (_) {
+      session.client.destroy();
     }
-  } else {
-    base.password = config.password;
   }
-
-  return base;
 }
 
-async function collectCpuPercent(conn) {
-  const first = parseCpuLine(await runCommand(conn, "head -n1 /proc/stat"));
-  await delay(400);
-  const second = parseCpuLine(await runCommand(conn, "head -n1 /proc/stat"));
-  const idleDelta = second.idle - first.idle;
-  const totalDelta = second.total - first.total;
-  const usage = totalDelta === 0 ? 0 : (1 - idleDelta / totalDelta) * 100;
-  return clampNumber(usage, 0, 100);
+// Anything that changes how we connect invalidates the open session
+function sshSessionKey(server) {
+  return JSON.stringify([
+    server.host,
+    server.port || 22,
+    server.username || 'root',
+    server.authMethod,
+    server.privateKeyPath,
+    server.passwordRef || server.password
+  ]);
 }
 
-async function collectUptimeSeconds(conn) {
-  const raw = await runCommand(conn, 'cut -d. -f1 /proc/uptime');
-  const parsed = Number.parseInt(raw.trim(), 10);
-  return Number.isFinite(parsed) ? parsed : 0;
+function setSshState(server, session, state) {
+  session.state = state;
+  notifyConnectionState(server.id);
 }
 
-async function collectMemoryStats(conn) {
-  const meminfo = await runCommand(conn, "grep -E 'MemTotal|MemAvailable|MemFree' /proc/meminfo");
-  const parsed = {};
-  meminfo
-    .trim()
-    .split('\n')
-    .forEach((line) => {
-      const [key, value] = line.split(':');
-      parsed[key.trim()] = Number.parseInt(value, 10);
-    });
-
-  const totalKb = parsed.MemTotal || 0;
-  const freeKb = parsed.MemAvailable ?? parsed.MemFree ?? 0;
-  const usedKb = Math.max(totalKb - freeKb, 0);
-  const usedPercent = totalKb ? (usedKb / totalKb) * 100 : 0;
-
+function describeSession(session) {
   return {
-    totalGb: round(totalKb / 1024 / 1024),
-    usedGb: round(usedKb / 1024 / 1024),
-    usedPercent: clampNumber(usedPercent, 0, 100)
+    state: session?.state || 'disconnected',
+    error: session?.error || null,
+    retryAt: session?.retryAt || null
   };
 }
 
-async function collectArrayUsage(conn) {
-  const df = await runCommand(conn, 'df -B1 /mnt/user | tail -n 1');
-  const parts = df.trim().split(/\s+/);
-  if (parts.length < 5) {
-    return {
-      totalTb: 0,
-      usedTb: 0,
-      usedPercent: 0
-    };
-  }
-
-  const totalBytes = Number(parts[1]) || 0;
-  const usedBytes = Number(parts[2]) || 0;
-  const fallbackPercent = totalBytes ? (usedBytes / totalBytes) * 100 : 0;
-  const usedPercent =
-    parts[4] && parts[4].endsWith('%') ? Number(parts[4].slice(0, -1)) : fallbackPercent;
-
-  return {
-    totalTb: round(totalBytes ? totalBytes / 1024 / 1024 / 1024 / 1024 : 0),
-    usedTb: round(usedBytes ? usedBytes / 1024 / 1024 / 1024 / 1024 : 0),
-    usedPercent: clampNumber(usedPercent, 0, 100)
-  };
+// State of the server's connection. `mode` is the configured transport, `transport` the one
+// currently delivering stats (they differ while "ws-ssh" falls back to SSH).
+function describeConnection(serverId) {
+  const server = config.servers.find((entry) => entry.id === serverId);
+  const mode = server?.transport || 'ssh';
+  return { serverId, mode, ...getTransport({ transport: mode }).describe(serverRuntimes.get(serverId)) };
 }
 
-async function collectNetworkStats(conn) {
-  const iface = sanitizeInterfaceName(config.networkInterface) || 'eth0';
-  const command = `cat /sys/class/net/${iface}/statistics/rx_bytes; cat /sys/class/net/${iface}/statistics/tx_bytes`;
-  const raw = await runCommand(conn, command);
-  const tokens = raw
-    .trim()
-    .split(/\s+/)
-    .filter(Boolean);
-  const rxRaw = tokens[0];
-  const txRaw = tokens[1];
-  const rxBytes = Number.parseInt(rxRaw, 10);
-  const txBytes = Number.parseInt(txRaw, 10);
-  if (!Number.isFinite(rxBytes) || !Number.isFinite(txBytes)) {
-    throw new Error(`Unable to parse network stats for interface ${iface}`);
+function notifyConnectionState(serverId) {
+  if (trayWindow) {
+    trayWindow.webContents.send('connection:state', describeConnection(serverId));
   }
+}
 
-  const now = Date.now();
-  let rxRateMbps = null;
-  let txRateMbps = null;
-
-  if (lastNetSample && lastNetSample.interface === iface) {
-    const deltaMs = Math.max(now - lastNetSample.timestamp, 1);
-    const seconds = deltaMs / 1000;
-    const rxDelta = Math.max(rxBytes - lastNetSample.rxBytes, 0);
-    const txDelta = Math.max(txBytes - lastNetSample.txBytes, 0);
-    if (seconds > 0) {
-      rxRateMbps = (rxDelta * 8) / seconds / 1_000_000;
-      txRateMbps = (txDelta * 8) / seconds / 1_000_000;
-    }
+function normalizeContainerAction(payload) {
+  const action = String(payload?.action || '').toLowerCase();
+  const id = String(payload?.id || '');
+  if (!DOCKER_ACTIONS.includes(action)) {
+    throw new Error(`Unsupported container action: ${payload?.action}`);
   }
+  if (!/^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/.test(id)) {
+    throw new Error('Invalid container id.');
+  }
+  return { id, action };
+}
 
-  lastNetSample = {
-    interface: iface,
-    rxBytes,
-    txBytes,
-    timestamp: now
-  };
-
-  return {
-    interface: iface,
-    rxBytes,
-    txBytes,
-    rxRateMbps,
-    txRateMbps
-  };
+function normalizeVmAction(payload) {
+  const action = String(payload?.action || '').toLowerCase();
+  const name = String(payload?.name || '').trim();
+  if (!VM_ACTIONS.includes(action)) {
+    throw new Error(`Unsupported VM action: ${payload?.action}`);
+  }
+  if (!name) {
+    throw new Error('VM name is required.');
+  }
+  return { name, action };
 }
 
-function sanitizeInterfaceName(name) {
-  if (!name || typeof name !== 'string') return null;
-  return name.replace(/[^a-zA-Z0-9_.:-]/g, '');
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
 }
 
-async function collectDockerContainers(conn) {
-  const base = config.showStoppedServices ? 'docker ps -a' : 'docker ps';
-  const raw = await runCommand(conn, `${base} --format '{{json .}}' --no-trunc`);
-  if (!raw || !raw.trim()) {
-    return [];
+function ensureConfig(server = config) {
+  if (!server.host) {
+    throw new Error(`Host is not configured for ${server.name || 'this server'}. Update it in Settings.`);
   }
+}
 
-  const parsed = raw
-    .trim()
-    .split('\n')
-    .map((line) => line.trim())
-    .filter(Boolean)
-    .map((line) => {
-      try {
-        return JSON.parse(line);
-      } catch {
-        return null;
-      }
-    })
-    .filter(Boolean);
-
-  const processed = parsed.map((entry) => ({
-    original: entry,
-    ports: parseDockerPorts(entry.Ports || ''),
-    labels: parseDockerLabels(entry.Labels || '')
-  }));
-
-  let runtimeStats = new Map();
-  try {
-    runtimeStats = await collectDockerRuntimeStats(conn);
-  } catch (err) {
-    console.warn('docker stats failed:', err.message);
-  }
+function buildSshConfig(server = config) {
+  const base = {
+    host: server.host,
+    port: server.port || 22,
+    username: server.username || 'root',
+    readyTimeout: 8000,
+    keepaliveInterval: 2000,
+    keepaliveCountMax: 2,
+    hostVerifier: (key) => verifyHostKey(server, key)
+  };
 
-  const inspectMap = await inspectContainers(conn, processed.map((p) => p.original.ID)).catch(
-    (err) => {
-      console.warn('docker inspect failed:', err.message);
-      return new Map();
+  if (server.authMethod === 'key') {
+    if (!server.privateKeyPath) {
+      throw new Error('privateKeyPath is required for key authentication.');
     }
-  );
-
-  return processed.map((entry) => {
-    const { original, ports, labels } = entry;
-    const details = inspectMap.get(original.ID) || null;
-    const containerIp = resolveContainerIp(details);
-    const templateContext = { containerIp };
-    const explicitUrl = applyDockerTemplate(labels['net.unraid.docker.webui'], ports, templateContext);
-    const explicitIcon = applyDockerTemplate(labels['net.unraid.docker.icon'], ports, templateContext);
-    const normalizedStatus = (original.Status || '').toLowerCase();
-    const isRunning = normalizedStatus.startsWith('up');
-
-    const statsKeyCandidates = [original.ID, original.Names].filter(Boolean);
-    let metrics = null;
-    for (const key of statsKeyCandidates) {
-      if (runtimeStats.has(key)) {
-        metrics = runtimeStats.get(key);
-        break;
-      }
+    const expanded = expandPath(server.privateKeyPath);
+    base.privateKey = fs.readFileSync(expanded);
+    const passphrase = readServerSecret(server, 'password');
+    if (passphrase) {
+      base.passphrase = passphrase;
     }
+  } else {
+    base.password = readServerSecret(server, 'password');
+  }
 
-    return {
-      id: original.ID,
-      name: original.Names,
-      image: original.Image,
-      status: original.Status,
-      running: isRunning,
-      ports,
-      containerIp,
-      url: normalizeUrl(explicitUrl) || deriveDockerUrl(ports, containerIp),
-      icon: normalizeUrl(explicitIcon),
-      metrics
-    };
-  });
+  return base;
 }
 
-async function collectDockerRuntimeStats(conn) {
-  const raw = await runCommand(conn, "docker stats --no-stream --format '{{json .}}'");
-  if (!raw || !raw.trim()) return new Map();
-
-  const map = new Map();
-  const now = Date.now();
-  raw
-    .trim()
-    .split('\n')
-    .map((line) => line.trim())
-    .filter(Boolean)
-    .forEach((line) => {
-      try {
-        const entry = JSON.parse(line);
-        const id = entry.Container;
-        const name = entry.Name;
-        const cpuPercent = parsePercent(entry.CPUPerc);
-        const memPercent = parsePercent(entry.MemPerc);
-        const { usedBytes: memUsedBytes, totalBytes: memLimitBytes } = parseUsagePair(
-          entry.MemUsage
-        );
-        const { usedBytes: netRxBytes, totalBytes: netTxBytes } = parseUsagePair(entry.NetIO);
-
-        let netRxMbps = null;
-        let netTxMbps = null;
-        if (lastDockerStats.timestamp && (netRxBytes != null || netTxBytes != null)) {
-          const prev = lastDockerStats.perContainer.get(id || name);
-          const seconds = (now - lastDockerStats.timestamp) / 1000;
-          if (prev && seconds > 0) {
-            if (netRxBytes != null && prev.rxBytes != null) {
-              netRxMbps = ((netRxBytes - prev.rxBytes) * 8) / seconds / 1_000_000;
-            }
-            if (netTxBytes != null && prev.txBytes != null) {
-              netTxMbps = ((netTxBytes - prev.txBytes) * 8) / seconds / 1_000_000;
-            }
-          }
-        }
-
-        const metrics = {
-          cpuPercent,
-          memPercent,
-          memUsedBytes,
-          memLimitBytes,
-          netRxBytes,
-          netTxBytes,
-          netRxMbps,
-          netTxMbps
-        };
-
-        if (id) map.set(id, metrics);
-        if (name) map.set(name, metrics);
-      } catch (err) {
-        // Ignore malformed stats lines
-      }
-    });
+function knownHostId(server) {
+  return `${server.host}:${server.port || 22}`;
+}
 
-  // Update last sample for next delta computation
-  const nextPerContainer = new Map();
-  map.forEach((metrics, key) => {
-    nextPerContainer.set(key, {
-      rxBytes: metrics.netRxBytes ?? null,
-      txBytes: metrics.netTxBytes ?? null
-    });
+// Accepts only the pinned key. Anything else is refused and remembered so the connection
+// error can say why, and so the renderer can offer the fingerprint for confirmation.
+function verifyHostKey(server, key) {
+  const hostId = knownHostId(server);
+  const fingerprint = fingerprintHostKey(key);
+  const pinned = knownHosts.get(hostId);
+  if (pinned?.fingerprint === fingerprint) {
+    hostKeyProblems.delete(hostId);
+    return true;
+  }
+  hostKeyProblems.set(hostId, {
+    kind: pinned ? 'changed' : 'unknown',
+    hostId,
+    fingerprint,
+    keyType: hostKeyType(key),
+    expected: pinned?.fingerprint || null
   });
-  lastDockerStats = { timestamp: now, perContainer: nextPerContainer };
-
-  return map;
+  return false;
 }
 
-async function collectVmList(conn) {
-  const command = config.showStoppedServices
-    ? 'virsh list --all || true'
-    : 'virsh list --state-running || true';
-  const raw = await runCommand(conn, command);
-  if (!raw || !raw.trim()) return [];
-
-  return raw
-    .split('\n')
-    .map((line) => line.trim())
-    .filter((line) => line && !line.toLowerCase().startsWith('id') && !line.startsWith('-'))
-    .map((line) => {
-      const parts = line.split(/\s{2,}/).map((part) => part.trim()).filter(Boolean);
-      if (parts.length < 3) {
-        return null;
-      }
-      const name = parts[1];
-      const state = parts[2].toLowerCase();
-      return {
-        name,
-        state,
-        running: state.startsWith('running')
-      };
-    })
-    .filter(Boolean);
+// ssh2 reports a refused host key as a bare "verification failed"; say what actually happened
+function explainSshError(err, server) {
+  const problem = hostKeyProblems.get(knownHostId(server));
+  if (!problem || !/verification failed/i.test(err.message || '')) {
+    return err;
+  }
+  if (trayWindow) {
+    trayWindow.webContents.send('hostkey:problem', { ...problem, serverId: server.id, serverName: server.name });
+  }
+  if (problem.kind === 'changed') {
+    return new Error(
+      `The SSH host key of ${problem.hostId} has changed (now ${problem.fingerprint}, expected ${problem.expected}). ` +
+        'Refusing to connect: someone may be intercepting the connection. If the server was reinstalled, forget the saved key in Settings.'
+    );
+  }
+  return new Error(`First connection to ${problem.hostId}: confirm its host key (${problem.fingerprint}) in Settings.`);
 }
 
-async function inspectContainers(conn, ids = []) {
-  if (!ids.length) return new Map();
-  const uniqueIds = Array.from(new Set(ids));
-  const command = `docker inspect ${uniqueIds.join(' ')}`;
-  const output = await runCommand(conn, command);
-  let parsed;
-  try {
-    parsed = JSON.parse(output);
-  } catch (err) {
-    console.warn('Unable to parse docker inspect output:', err.message);
-    return new Map();
+// Pins the key the renderer showed the user, and only if it's still the one the server presented
+function trustHostKey(serverId, fingerprint) {
+  const server = config.servers.find((entry) => entry.id === serverId);
+  if (!server) {
+    throw new Error('Unknown server.');
   }
-
-  const map = new Map();
-  parsed.forEach((item) => {
-    if (!item?.Id) return;
-    map.set(item.Id, item);
-    const shortId = item.Id.slice(0, 12);
-    map.set(shortId, item);
-  });
-  return map;
-}
-
-function parseDockerLabels(rawLabels) {
-  if (!rawLabels) return {};
-  return rawLabels.split(',').reduce((acc, pair) => {
-    const trimmedPair = pair.trim();
-    if (!trimmedPair) return acc;
-    const idx = trimmedPair.indexOf('=');
-    if (idx === -1) return acc;
-    const key = trimmedPair.slice(0, idx).trim();
-    const value = trimmedPair.slice(idx + 1).trim();
-    if (key && value) {
-      acc[key] = value;
-    }
-    return acc;
-  }, {});
-}
-
-function parseDockerPorts(rawPorts) {
-  if (!rawPorts) return [];
-  return rawPorts
-    .split(',')
-    .map((segment) => segment.trim())
-    .filter(Boolean)
-    .map((segment) => {
-      const match = segment.match(/([^:]+)?:?(\d+)->(\d+)(?:\/([a-z]+))?/i);
-      if (!match) {
-        return { display: segment };
-      }
-      const hostIp = match[1] && match[1].includes('.') ? match[1] : '0.0.0.0';
-      const hostPort = match[2];
-      const containerPort = match[3];
-      const protocol = match[4] || 'tcp';
-      return {
-        hostIp,
-        hostPort,
-        containerPort,
-        protocol,
-        display: `${hostPort}->${containerPort}/${protocol}`
-      };
-    });
+  const hostId = knownHostId(server);
+  const problem = hostKeyProblems.get(hostId);
+  if (!problem || problem.kind !== 'unknown' || problem.fingerprint !== fingerprint) {
+    throw new Error('This host key is no longer pending; reconnect to see the current one.');
+  }
+  knownHosts.set(hostId, { fingerprint, keyType: problem.keyType });
+  hostKeyProblems.delete(hostId);
+  getServerRuntime(serverId).lastFetchTs = 0;
 }
 
-function resolveContainerIp(details) {
-  if (!details || !details.NetworkSettings) return null;
-  const direct = details.NetworkSettings.IPAddress;
-  if (direct) return direct;
-  const networks = details.NetworkSettings.Networks;
-  if (networks && typeof networks === 'object') {
-    for (const net of Object.values(networks)) {
-      if (net?.IPAddress) return net.IPAddress;
-    }
+function forgetHostKey(serverId) {
+  const server = config.servers.find((entry) => entry.id === serverId);
+  if (!server) {
+    throw new Error('Unknown server.');
   }
-  return null;
+  knownHosts.remove(knownHostId(server));
+  hostKeyProblems.delete(knownHostId(server));
 }
 
-function deriveDockerUrl(ports, containerIp) {
-  if (!Array.isArray(ports) || ports.length === 0) {
-    if (containerIp) {
-      return `http://${containerIp}`;
-    }
-    return null;
+// Decrypted only at connect time; nothing else in the app sees the plaintext (except Settings, which
+// shows the WS token). `field` is a key of SECRET_FIELDS.
+function readServerSecret(server, field) {
+  const ref = server[SECRET_FIELDS[field]];
+  if (!ref) {
+    return server[field];
   }
-  const candidate = ports.find((port) => port.hostPort);
-  if (candidate) {
-    const portNumber = Number(candidate.hostPort);
-    const scheme = portNumber === 443 ? 'https' : 'http';
-    return `${scheme}://${config.host}:${candidate.hostPort}`;
+  const label = field === 'wsToken' ? 'access token' : 'password';
+  try {
+    return secretStore.read(ref);
+  } catch (err) {
+    console.warn(`Unable to decrypt the ${label} for ${server.name}:`, err.message);
+    throw new Error(`The stored ${label} for ${server.name} could not be decrypted. Enter it again in Settings.`);
   }
+}
 
-  if (containerIp) {
-    const containerPort = ports[0]?.containerPort;
-    if (containerPort) {
-      const portNumber = Number(containerPort);
-      const scheme = portNumber === 443 ? 'https' : 'http';
-      return `${scheme}://${containerIp}:${containerPort}`;
+// Stores the new secret before dropping the old one, so a failure leaves a working credential.
+// Without secure storage it stays in config.json as plain text; Settings says so (buildEditableConfig()).
+function setServerSecret(server, field, value) {
+  const refField = SECRET_FIELDS[field];
+  const previousRef = server[refField];
+  delete server[field];
+  delete server[refField];
+  if (value) {
+    if (secretStore.isAvailable()) {
+      server[refField] = secretStore.store(value);
+    } else {
+      server[field] = value;
     }
-    return `http://${containerIp}`;
   }
-
-  return null;
+  secretStore.remove(previousRef);
 }
 
-function normalizeUrl(url) {
-  if (!url || typeof url !== 'string') return null;
-  const trimmed = url.trim();
-  if (!trimmed) return null;
+// Settings sends the WS token back on every save; re-encrypting it would change wsStreamKey()
+function isUnchangedSecret(server, field, value) {
   try {
-    if (/^https?:\/\//i.test(trimmed)) {
-      new URL(trimmed);
-      return trimmed;
-    }
-    if (trimmed.startsWith('//')) {
-      const candidate = `http:${trimmed}`;
-      new URL(candidate);
-      return candidate;
-    }
-    if (trimmed.startsWith('/')) {
-      const candidate = `http://${config.host}${trimmed}`;
-      new URL(candidate);
-      return candidate;
-    }
-    const candidate = `http://${trimmed}`;
-    new URL(candidate);
-    return candidate;
+    return (readServerSecret(server, field) || '') === (value || '');
   } catch {
-    console.warn('Invalid Docker URL skipped:', trimmed);
-    return null;
+    return false;
   }
 }
 
-function applyDockerTemplate(value, ports = [], context = {}) {
-  if (!value || typeof value !== 'string') return value;
-  let output = value;
-
-  const resolvedIp = context.containerIp || config.host;
+// Credentials saved by older versions (or without secure storage) sit in config.json as plain text;
+// move them on launch once secure storage works
+function migratePlaintextSecrets() {
+  const existing = readJson(CONFIG_PATH);
+  if (!existing || !secretStore.isAvailable()) return;
+  const hasPlaintext = (profile) =>
+    Object.keys(SECRET_FIELDS).some((field) => typeof profile[field] === 'string' && profile[field]);
+  if (!readServerProfiles({}, existing).some(hasPlaintext)) return;
 
-  output = output.replace(/\[IP\]/gi, resolvedIp);
-  output = output.replace(/\[PORT:(\d+)\]/gi, (_match, port) => {
-    const portNum = Number(port);
-    if (!Number.isFinite(portNum)) {
-      return port;
-    }
-    const matched =
-      ports.find((p) => Number(p.containerPort) === portNum) ||
-      ports.find((p) => Number(p.hostPort) === portNum);
-    return matched?.hostPort || String(portNum);
-  });
-
-  return output;
+  try {
+    updateUserConfig((next) => {
+      next.servers.filter(hasPlaintext).forEach((server) => {
+        Object.keys(SECRET_FIELDS)
+          .filter((field) => typeof server[field] === 'string' && server[field])
+          .forEach((field) => setServerSecret(server, field, server[field]));
+      });
+    });
+    config = loadConfig();
+    console.log('Moved stored credentials from config.json into secure storage.');
+  } catch (err) {
+    console.error('Credential migration failed:', err);
+  }
 }
 
-function parsePercent(value) {
-  if (!value || typeof value !== 'string') return null;
-  const trimmed = value.trim().replace('%', '');
-  const parsed = Number.parseFloat(trimmed);
-  return Number.isFinite(parsed) ? parsed : null;
-}
+// The collector reports byte counters; rates are the delta against this server's previous refresh
+function applyNetworkRates(network, runtime) {
+  if (!network) return;
+  const { lastNetSample } = runtime;
+  const now = Date.now();
 
-function parseUsagePair(value) {
-  if (!value || typeof value !== 'string') {
-    return { usedBytes: null, totalBytes: null };
-  }
-  const parts = value.split('/').map((p) => p.trim());
-  if (parts.length < 2) {
-    return { usedBytes: parseHumanBytes(parts[0]), totalBytes: null };
+  if (lastNetSample && lastNetSample.interface === network.interface) {
+    const seconds = Math.max(now - lastNetSample.timestamp, 1) / 1000;
+    network.rxMbps = (Math.max(network.rxBytes - lastNetSample.rxBytes, 0) * 8) / seconds / 1_000_000;
+    network.txMbps = (Math.max(network.txBytes - lastNetSample.txBytes, 0) * 8) / seconds / 1_000_000;
   }
-  return {
-    usedBytes: parseHumanBytes(parts[0]),
-    totalBytes: parseHumanBytes(parts[1])
+
+  runtime.lastNetSample = {
+    interface: network.interface,
+    rxBytes: network.rxBytes,
+    txBytes: network.txBytes,
+    timestamp: now
   };
 }
 
-function parseHumanBytes(text) {
-  if (!text || typeof text !== 'string') return null;
-  const match = text.trim().match(/^([\d.]+)\s*([kKmMgGtTpP]?i?[bB])?/);
-  if (!match) return null;
-  const value = Number.parseFloat(match[1]);
-  if (!Number.isFinite(value)) return null;
-  const unit = (match[2] || 'B').toLowerCase();
-
-  const multipliers = {
-    b: 1,
-    kb: 1e3,
-    mb: 1e6,
-    gb: 1e9,
-    tb: 1e12,
-    kib: 1024,
-    mib: 1024 ** 2,
-    gib: 1024 ** 3,
-    tib: 1024 ** 4
-  };
+function applyContainerNetworkRates(containers, runtime) {
+  const { lastDockerStats } = runtime;
+  const now = Date.now();
+  const seconds = (now - lastDockerStats.timestamp) / 1000;
+  const perContainer = new Map();
+
+  containers.forEach((container) => {
+    const { metrics } = container;
+    if (!metrics) return;
+    const prev = lastDockerStats.perContainer.get(container.id);
+    if (prev && seconds > 0) {
+      if (metrics.netRxBytes != null && prev.rxBytes != null) {
+        // Counters restart from zero when the container restarts
+        metrics.netRxMbps = (Math.max(metrics.netRxBytes - prev.rxBytes, 0) * 8) / seconds / 1_000_000;
+      }
+      if (metrics.netTxBytes != null && prev.txBytes != null) {
+        metrics.netTxMbps = (Math.max(metrics.netTxBytes - prev.txBytes, 0) * 8) / seconds / 1_000_000;
+      }
+    }
+    perContainer.set(container.id, { rxBytes: metrics.netRxBytes, txBytes: metrics.netTxBytes });
+  });
 
-  const factor = multipliers[unit] ?? 1;
-  return value * factor;
+  runtime.lastDockerStats = { timestamp: now, perContainer };
 }
 
-function parseCpuLine(line) {
-  const values = line
-    .trim()
-    .split(/\s+/)
-    .slice(1)
-    .map((num) => Number(num));
-
-  const idle = (values[3] || 0) + (values[4] || 0);
-  const total = values.reduce((sum, value) => sum + (Number.isFinite(value) ? value : 0), 0);
-  return { idle, total };
+function sanitizeInterfaceName(name) {
+  if (!name || typeof name !== 'string') return null;
+  return name.replace(/[^a-zA-Z0-9_.:-]/g, '');
 }
 
 function sanitizeConfig(rawConfig) {
   const clone = { ...rawConfig };
-  if (clone.password) {
+  // Other profiles' credentials never leave the main process
+  clone.servers = (rawConfig.servers || []).map(({ id, name }) => ({ id, name }));
+  delete clone.passwordRef;
+  // The WS stream lives in the main process too; only Settings needs the token (config:edit)
+  delete clone.wsToken;
+  delete clone.wsTokenRef;
+  if (rawConfig.password || rawConfig.passwordRef) {
     clone.password = '••••••';
   }
   if (clone.privateKeyPath) {
@@ -910,9 +1703,17 @@ function sanitizeConfig(rawConfig) {
 }
 
 function buildEditableConfig() {
-  const editable = { ...config };
-  editable.passwordSet = Boolean(config.password);
+  const { servers, passwordRef, wsTokenRef, ...editable } = config;
+  editable.passwordSet = Boolean(config.password || passwordRef);
   editable.password = '';
+  try {
+    editable.wsToken = readServerSecret(config, 'wsToken') || '';
+  } catch {
+    editable.wsToken = '';
+  }
+  // Settings warns when credentials end up in config.json as plain text
+  editable.secretStorage = secretStore.getStatus();
+  editable.hostKey = config.host ? knownHosts.get(knownHostId(config)) : null;
   return editable;
 }
 
@@ -923,6 +1724,14 @@ function normalizeConfigPayload(payload) {
 
   const normalized = {};
 
+  if ('name' in payload) {
+    const name = String(payload.name ?? '').trim();
+    if (!name) {
+      throw new Error('Server name cannot be empty.');
+    }
+    normalized.name = name;
+  }
+
   if ('host' in payload) {
     normalized.host = String(payload.host ?? '').trim();
   }
@@ -993,49 +1802,127 @@ function normalizeConfigPayload(payload) {
 
   if ('transport' in payload) {
     const t = String(payload.transport || '').toLowerCase();
-    if (t === 'ssh' || t === 'ws') {
+    if (Object.hasOwn(TRANSPORTS, t)) {
       normalized.transport = t;
     } else {
-      throw new Error('transport must be "ssh" or "ws".');
+      throw new Error('transport must be "ssh", "ws" or "ws-ssh".');
+    }
+  }
+
+  if ('wsFallbackSeconds' in payload) {
+    const seconds = Number(payload.wsFallbackSeconds);
+    if (!Number.isFinite(seconds) || seconds < 5) {
+      throw new Error('SSH fallback delay must be at least 5 seconds.');
     }
+    normalized.wsFallbackSeconds = Math.round(seconds);
   }
 
   if ('wsUrl' in payload) {
-    normalized.wsUrl = String(payload.wsUrl ?? '').trim();
+    const wsUrl = String(payload.wsUrl ?? '').trim();
+    if (wsUrl && !/^wss?:\/\//i.test(wsUrl)) {
+      throw new Error('WebSocket URL must start with ws:// or wss://.');
+    }
+    normalized.wsUrl = wsUrl;
+  }
+
+  if ('wsToken' in payload) {
+    normalized.wsToken = String(payload.wsToken ?? '').trim();
+  }
+
+  if ('wsCertFingerprint' in payload) {
+    const raw = String(payload.wsCertFingerprint ?? '').trim();
+    if (raw && !normalizeFingerprint(raw)) {
+      throw new Error('Certificate fingerprint must be a SHA-256 hex digest (e.g. AB:CD:…).');
+    }
+    normalized.wsCertFingerprint = raw;
+  }
+
+  if ('alerts' in payload) {
+    normalized.alerts = normalizeAlertRules({ ...config.alerts, ...payload.alerts });
   }
 
   return normalized;
 }
 
-function persistUserConfig(patch) {
+// Server fields in `patch` go to the given profile (the active one by default)
+function persistUserConfig(patch, serverId = config.activeServerId) {
   if (!patch || Object.keys(patch).length === 0) {
     return;
   }
 
+  updateUserConfig((next) => {
+    const server = next.servers.find((entry) => entry.id === serverId);
+    CONFIG_MUTABLE_FIELDS.forEach((field) => {
+      if (!(field in patch)) {
+        return;
+      }
+      const target = SERVER_FIELDS.includes(field) ? server : next;
+      if (!target) {
+        return;
+      }
+      const value = patch[field];
+      if (Object.hasOwn(SECRET_FIELDS, field)) {
+        if (!isUnchangedSecret(target, field, value)) setServerSecret(target, field, value);
+        return;
+      }
+      if (value === undefined) {
+        delete target[field];
+        return;
+      }
+      target[field] = value;
+    });
+  });
+}
+
+// Rewrites config.json in profile form after `mutate(next)`, migrating a legacy file on the way
+function updateUserConfig(mutate) {
   const existing = readJson(CONFIG_PATH) || {};
-  const next = { ...existing };
+  const next = omitServerFields(existing);
+  next.servers = readServerProfiles(readJson(CONFIG_TEMPLATE) || {}, existing);
+  if (!next.servers.some((server) => server.id === next.activeServerId)) {
+    next.activeServerId = next.servers[0].id;
+  }
 
-  CONFIG_MUTABLE_FIELDS.forEach((field) => {
-    if (!(field in patch)) {
-      return;
-    }
-    const value = patch[field];
-    if (field === 'password' && value === '') {
-      delete next.password;
-      return;
-    }
-    if (value === undefined) {
-      delete next[field];
-      return;
-    }
-    next[field] = value;
-  });
+  mutate(next);
 
   fs.mkdirSync(path.dirname(CONFIG_PATH), { recursive: true });
   fs.writeFileSync(CONFIG_PATH, JSON.stringify(next, null, 2));
 }
 
-function runCommand(conn, command) {
+// `input`, when given, is written to the command's stdin
+function runCommand(conn, command, input) {
+  return withChannelSlot(conn, () => execCommand(conn, command, input));
+}
+
+// A refresh, the fleet view and an action can overlap on one session; commands beyond the
+// channel limit wait for a free slot instead of failing with "Channel open failure".
+function withChannelSlot(conn, task) {
+  let slots = channelSlots.get(conn);
+  if (!slots) {
+    slots = { active: 0, waiting: [] };
+    channelSlots.set(conn, slots);
+  }
+
+  return new Promise((resolve, reject) => {
+    const run = () => {
+      slots.active += 1;
+      task()
+        .then(resolve, reject)
+        .finally(() => {
+          slots.active -= 1;
+          const next = slots.waiting.shift();
+          if (next) next();
+        });
+    };
+    if (slots.active < MAX_CHANNELS_PER_SESSION) {
+      run();
+    } else {
+      slots.waiting.push(run);
+    }
+  });
+}
+
+function execCommand(conn, command, input) {
   return new Promise((resolve, reject) => {
     conn.exec(command, (err, stream) => {
       if (err) return reject(err);
@@ -1059,6 +1946,9 @@ function runCommand(conn, command) {
       stream.stderr.on('data', (data) => {
         stderr += data.toString();
       });
+      if (input != null) {
+        stream.end(input);
+      }
     });
   });
 }
@@ -1071,8 +1961,6 @@ function expandPath(targetPath) {
   return targetPath;
 }
 
-const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
 function formatDuration(seconds = 0) {
   const days = Math.floor(seconds / 86400);
   const hours = Math.floor((seconds % 86400) / 3600);
@@ -1085,15 +1973,32 @@ function formatDuration(seconds = 0) {
   return parts.join(' ');
 }
 
-function round(value, digits = 2) {
-  if (!Number.isFinite(value)) return 0;
-  const factor = 10 ** digits;
-  return Math.round(value * factor) / factor;
-}
+function buildTrayIcon(alerting) {
+  const image = nativeImage.createFromDataURL(buildTrayImage());
+  if (!alerting) {
+    image.setTemplateImage(true);
+    return image;
+  }
 
-function clampNumber(value, min, max) {
-  if (!Number.isFinite(value)) return min;
-  return Math.min(Math.max(value, min), max);
+  // Badge: red dot in the bottom-right corner. Template images are rendered monochrome on
+  // macOS, so the badged variant is a regular image.
+  const { width, height } = image.isEmpty() ? { width: 16, height: 16 } : image.getSize();
+  const bitmap = image.isEmpty() ? Buffer.alloc(width * height * 4) : Buffer.from(image.toBitmap());
+  const radius = Math.max(3, Math.round(width * 0.22));
+  const cx = width - radius - 0.5;
+  const cy = height - radius - 0.5;
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      if ((x - cx) ** 2 + (y - cy) ** 2 > radius ** 2) continue;
+      const offset = (y * width + x) * 4;
+      // BGRA
+      bitmap[offset] = 0x3b;
+      bitmap[offset + 1] = 0x3b;
+      bitmap[offset + 2] = 0xef;
+      bitmap[offset + 3] = 0xff;
+    }
+  }
+  return nativeImage.createFromBitmap(bitmap, { width, height });
 }
 
 function buildTrayImage() {
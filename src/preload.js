@@ -2,9 +2,32 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('companion', {
   fetchStats: (options = {}) => ipcRenderer.invoke('stats:fetch', options),
+  fetchFleet: (options = {}) => ipcRenderer.invoke('fleet:fetch', options),
+  onStats: (callback) => {
+    ipcRenderer.on('stats:update', (_event, update) => callback(update));
+  },
+  fetchHistory: (request) => ipcRenderer.invoke('history:get', request),
   getConfig: () => ipcRenderer.invoke('config:get'),
   getEditableConfig: () => ipcRenderer.invoke('config:edit'),
   updateConfig: (payload) => ipcRenderer.invoke('config:update', payload),
+  listServers: () => ipcRenderer.invoke('servers:list'),
+  switchServer: (id) => ipcRenderer.invoke('servers:switch', id),
+  addServer: (name) => ipcRenderer.invoke('servers:add', { name }),
+  removeServer: (id) => ipcRenderer.invoke('servers:remove', id),
+  trustHostKey: (serverId, fingerprint) => ipcRenderer.invoke('hostkey:trust', { serverId, fingerprint }),
+  forgetHostKey: (serverId) => ipcRenderer.invoke('hostkey:forget', serverId),
+  onHostKeyProblem: (callback) => {
+    ipcRenderer.on('hostkey:problem', (_event, problem) => callback(problem));
+  },
+  onServersChanged: (callback) => {
+    ipcRenderer.on('servers:changed', (_event, servers) => callback(servers));
+  },
+  getConnectionState: () => ipcRenderer.invoke('connection:state'),
+  onConnectionState: (callback) => {
+    ipcRenderer.on('connection:state', (_event, connection) => callback(connection));
+  },
+  containerAction: (id, action) => ipcRenderer.invoke('docker:action', { id, action }),
+  vmAction: (name, action) => ipcRenderer.invoke('vm:action', { name, action }),
   openExternal: (url) => ipcRenderer.invoke('open-external', url)
 });
 
@@ -0,0 +1,215 @@
+// WS protocol shared with ws-server/server.mjs: every message is { type, version, data }. The server
+// opens with 'hello' (its version range and capabilities), then sends 'snapshot' messages whose data
+// follows ws-server/snapshot.schema.json, and from version 2 'patch' messages with only what changed
+// (ws-server/snapshot-diff.mjs). From version 3 clients choose topics and intervals. See README
+// "WS protocol".
+
+const snapshotSchema = require('../ws-server/snapshot.schema.json');
+
+// Newest version this app speaks, and the oldest server version it still understands
+const PROTOCOL_VERSION = 3;
+const MIN_PROTOCOL_VERSION = 1;
+
+const UPDATE_SERVER_HINT = 'Update the unraid-companion-ws container.';
+const UPDATE_APP_HINT = 'Update Unraid Companion.';
+
+function encodeMessage(type, data, version = PROTOCOL_VERSION) {
+  return JSON.stringify({ type, version, data });
+}
+
+// Messages from servers that predate the envelope are plain snapshots / responses without `version`
+function isEnvelope(message) {
+  return Boolean(message) && typeof message.type === 'string' && Number.isInteger(message.version);
+}
+
+/**
+ * Picks the version to talk to a server with, from its 'hello'.
+ * @returns {{ version: number, error: null } | { version: null, error: string }}
+ */
+function negotiateVersion(hello) {
+  const serverVersion = hello?.version;
+  const serverMin = Number.isInteger(hello?.data?.minVersion) ? hello.data.minVersion : serverVersion;
+  if (serverVersion < MIN_PROTOCOL_VERSION) {
+    return {
+      version: null,
+      error: `The WS server is too old (protocol v${serverVersion}, this app needs v${MIN_PROTOCOL_VERSION} or newer). ${UPDATE_SERVER_HINT}`
+    };
+  }
+  if (serverMin > PROTOCOL_VERSION) {
+    return {
+      version: null,
+      error: `The WS server is too new (protocol v${serverMin} or newer, this app speaks up to v${PROTOCOL_VERSION}). ${UPDATE_APP_HINT}`
+    };
+  }
+  return { version: Math.min(serverVersion, PROTOCOL_VERSION), error: null };
+}
+
+/**
+ * Applies a 'patch' message's ops (add / remove / replace with JSON Pointer paths) to a snapshot.
+ * Returns a new snapshot: objects along the changed paths are copied, everything else is shared,
+ * so stats already handed out for the previous tick never change under their holders.
+ * @throws {Error} When a path doesn't exist in `snapshot`; the caller should resync
+ */
+function applyPatch(snapshot, ops) {
+  if (!Array.isArray(ops)) throw new Error('Patch is not a list of operations.');
+  let root = snapshot;
+  ops.forEach((operation) => {
+    root = applyOperation(root, operation);
+  });
+  return root;
+}
+
+function applyOperation(root, { op, path, value }) {
+  if (!['add', 'remove', 'replace'].includes(op)) {
+    throw new Error(`Unsupported patch op: ${op}`);
+  }
+  if (path === '') {
+    if (op === 'remove') throw new Error('Cannot remove the snapshot itself.');
+    return value;
+  }
+  const keys = parsePointer(path);
+  const copy = cloneContainer(root);
+  let parent = copy;
+  keys.slice(0, -1).forEach((key) => {
+    if (!hasKey(parent, key)) throw new Error(`Patch path not found: ${path}`);
+    parent[key] = cloneContainer(parent[key]);
+    parent = parent[key];
+  });
+
+  const last = keys[keys.length - 1];
+  if (op !== 'add' && !hasKey(parent, last)) {
+    throw new Error(`Patch path not found: ${path}`);
+  }
+  if (Array.isArray(parent) && op !== 'replace') {
+    // The server replaces arrays that change length, so index inserts / deletes never occur
+    throw new Error(`Unsupported array ${op}: ${path}`);
+  }
+  if (op === 'remove') {
+    delete parent[last];
+  } else {
+    parent[last] = value;
+  }
+  return copy;
+}
+
+// RFC 6901: "/a/b~1c" -> ['a', 'b/c']
+function parsePointer(path) {
+  if (!path.startsWith('/')) throw new Error(`Invalid patch path: ${path}`);
+  return path
+    .slice(1)
+    .split('/')
+    .map((key) => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function cloneContainer(value) {
+  if (Array.isArray(value)) return value.slice();
+  if (value !== null && typeof value === 'object') return { ...value };
+  throw new Error('Patch path goes through a value that is not an object or array.');
+}
+
+function hasKey(container, key) {
+  if (Array.isArray(container)) {
+    return /^\d+$/.test(key) && Number(key) < container.length;
+  }
+  return Object.hasOwn(container, key);
+}
+
+/**
+ * Checks a snapshot against snapshot.schema.json.
+ * @returns {string[]} Problems such as "host.cpuPercent: expected number or null"; empty when valid
+ */
+function validateSnapshot(snapshot) {
+  const problems = [];
+  validateNode(snapshot, snapshotSchema, 'snapshot', problems);
+  return problems;
+}
+
+// Covers the keywords snapshot.schema.json uses: type, enum, required, properties, items, oneOf and
+// local $refs. Properties the schema doesn't list are allowed.
+function validateNode(value, schema, path, problems) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref), path, problems);
+    return;
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((option) => {
+      const optionProblems = [];
+      validateNode(value, option, path, optionProblems);
+      return optionProblems.length === 0;
+    });
+    if (matches.length !== 1) {
+      // Report against the object branch; that's the interesting one for nullable sections
+      const primary = schema.oneOf.find((option) => option.$ref) || schema.oneOf[0];
+      validateNode(value, primary, path, problems);
+    }
+    return;
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      problems.push(`${path}: expected ${types.join(' or ')}, got ${describeType(value)}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${path}: expected one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+    return;
+  }
+  if (value === null || typeof value !== 'object') return;
+
+  if (Array.isArray(value)) {
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, problems));
+    }
+    return;
+  }
+  (schema.required || []).forEach((key) => {
+    if (!(key in value)) problems.push(`${path}.${key}: missing`);
+  });
+  Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+    if (value[key] !== undefined) {
+      validateNode(value[key], propertySchema, `${path}.${key}`, problems);
+    }
+  });
+}
+
+function resolveRef(ref) {
+  const match = /^#\/\$defs\/(.+)$/.exec(ref);
+  const target = match && snapshotSchema.$defs[match[1]];
+  if (!target) throw new Error(`Unsupported $ref in snapshot schema: ${ref}`);
+  return target;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  UPDATE_SERVER_HINT,
+  encodeMessage,
+  isEnvelope,
+  applyPatch,
+  negotiateVersion,
+  validateSnapshot
+};
@@ -0,0 +1,84 @@
+// SSH passwords, key passphrases and WS tokens, encrypted with Electron's safeStorage (DPAPI on
+// Windows, Keychain on macOS, libsecret / kwallet on Linux). The ciphertexts live in their own file;
+// config.json only keeps the opaque reference returned by `store()`.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { safeStorage } = require('electron');
+
+/**
+ * @param {string} filePath JSON file holding `{ ref: base64 ciphertext }`
+ */
+function createSecretStore(filePath) {
+  // Only usable after the app's `ready` event
+  function isAvailable() {
+    return getStatus().secure;
+  }
+
+  /**
+   * Whether secrets can be encrypted, and if not why, in words for the Settings panel.
+   * @returns {{ secure: boolean, reason: string|null }}
+   */
+  function getStatus() {
+    if (!safeStorage.isEncryptionAvailable()) {
+      return { secure: false, reason: 'Secure storage is not available on this system.' };
+    }
+    // Without a keyring Linux falls back to a hard-coded key, which is no better than plain text
+    if (process.platform === 'linux' && safeStorage.getSelectedStorageBackend() === 'basic_text') {
+      return { secure: false, reason: 'No system keyring (GNOME Keyring / KWallet) was found.' };
+    }
+    return { secure: true, reason: null };
+  }
+
+  function store(value) {
+    if (!isAvailable()) {
+      throw new Error('Secure storage is not available on this system.');
+    }
+    const secrets = readAll();
+    const ref = crypto.randomBytes(8).toString('hex');
+    secrets[ref] = safeStorage.encryptString(value).toString('base64');
+    writeAll(secrets);
+    return ref;
+  }
+
+  function read(ref) {
+    const encrypted = readAll()[ref];
+    if (!encrypted) {
+      throw new Error('Stored secret is missing.');
+    }
+    return safeStorage.decryptString(Buffer.from(encrypted, 'base64'));
+  }
+
+  function remove(ref) {
+    const secrets = readAll();
+    if (!ref || !(ref in secrets)) return;
+    delete secrets[ref];
+    writeAll(secrets);
+  }
+
+  function readAll() {
+    try {
+      if (!fs.existsSync(filePath)) return {};
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      return data && typeof data === 'object' ? data : {};
+    } catch (err) {
+      console.warn(`Unable to read secrets file ${filePath}:`, err.message);
+      return {};
+    }
+  }
+
+  function writeAll(secrets) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    // Write then rename so a crash mid-write never loses every stored password
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(secrets, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return { isAvailable, getStatus, store, read, remove };
+}
+
+module.exports = {
+  createSecretStore
+};
@@ -0,0 +1,311 @@
+// Client for the companion WS server (ws-server/server.mjs). Keeps one socket open, hands every
+// pushed snapshot to `onSnapshot`, and reconnects after a drop until it is closed. From protocol
+// version 2 the server sends one full snapshot and then patches, which are applied here.
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const {
+  PROTOCOL_VERSION,
+  UPDATE_SERVER_HINT,
+  encodeMessage,
+  isEnvelope,
+  applyPatch,
+  negotiateVersion,
+  validateSnapshot
+} = require('./protocol');
+
+// Close code the WS server uses when the token is missing or wrong
+const CLOSE_UNAUTHORIZED = 4401;
+const RECONNECT_DELAY_MS = 5_000;
+const HANDSHAKE_TIMEOUT_MS = 10_000;
+// The server sends 'hello' as soon as the socket opens; servers older than the protocol never do
+const HELLO_TIMEOUT_MS = 3_000;
+// docker stop waits up to 10s for the container before killing it
+const REQUEST_TIMEOUT_MS = 30_000;
+
+/**
+ * @param {object} options
+ * @param {string} options.url ws:// or wss:// URL of the server
+ * @param {string} [options.token] Sent after the server's 'hello' when it asks for authentication
+ * @param {string} [options.fingerprint] Pinned SHA-256 of the server certificate (64 hex chars).
+ *   When set, the certificate is trusted if and only if it matches, like installCertificatePinning().
+ * @param {Object<string, number>} [options.topics] Topic -> interval ms to subscribe to (see subscribe());
+ *   every topic at the server's tick when omitted
+ * @param {(snapshot: object) => void} options.onSnapshot
+ * @param {(status: { state: string, error: string|null, retryAt: number|null,
+ *   serverVersion: number|null, paused: boolean }) => void} [options.onState]
+ */
+function createWsClient({ url, token, fingerprint, topics, onSnapshot, onState = () => {} }) {
+  // `paused`: connected, but subscribed to nothing, so no snapshots arrive
+  const status = { state: 'disconnected', error: null, retryAt: null, serverVersion: null, paused: false };
+  let subscription = topics || null;
+  // requestId -> { resolve, reject, timer }
+  const pending = new Map();
+  let nextRequestId = 1;
+  // Agreed on in the server's 'hello'; nothing but 'hello' is accepted before that
+  let protocolVersion = null;
+  let socket = null;
+  let retryTimer = null;
+  let closed = false;
+
+  function connect() {
+    if (closed || socket) return;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    status.retryAt = null;
+
+    let ws;
+    try {
+      ws = new WebSocket(url, {
+        handshakeTimeout: HANDSHAKE_TIMEOUT_MS,
+        // A pinned certificate is usually self-signed; it's checked on 'upgrade' instead
+        rejectUnauthorized: !fingerprint
+      });
+    } catch (err) {
+      status.error = `Unable to open WebSocket: ${err.message}`;
+      setState('failed');
+      return;
+    }
+    socket = ws;
+    setState('connecting');
+    // Retrying can't fix a wrong token, certificate or protocol version; the user has to act
+    let retryable = true;
+    let helloTimer = null;
+    protocolVersion = null;
+    // Last full snapshot and its `seq`; patches must continue from exactly this tick
+    let current = null;
+    let lastSeq = null;
+    let awaitingResync = false;
+
+    function fail(error) {
+      status.error = error;
+      retryable = false;
+      ws.terminate();
+    }
+
+    ws.on('upgrade', (response) => {
+      if (!fingerprint) return;
+      const actual = readFingerprint(response.socket);
+      if (actual !== fingerprint) {
+        console.error(`WS certificate fingerprint mismatch for ${url}: got ${actual || 'unknown'}`);
+        status.error = 'The WS server certificate does not match the pinned fingerprint.';
+        retryable = false;
+        // Closing here, before 'open', keeps the token from ever reaching that server
+        ws.terminate();
+      }
+    });
+
+    ws.on('open', () => {
+      helloTimer = setTimeout(() => {
+        fail(`The WS server did not identify itself; it is probably older than this app. ${UPDATE_SERVER_HINT}`);
+      }, HELLO_TIMEOUT_MS);
+    });
+
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (err) {
+        console.error('Bad WS payload', err.message);
+        return;
+      }
+      if (!isEnvelope(message)) {
+        // Pre-protocol servers push bare snapshots to unauthenticated clients
+        fail(`The WS server is too old to identify its protocol version. ${UPDATE_SERVER_HINT}`);
+        return;
+      }
+      if (protocolVersion === null) {
+        if (message.type === 'hello') handleHello(message);
+        return;
+      }
+      if (message.type === 'response') {
+        settleRequest(message.data);
+      } else if (message.type === 'snapshot') {
+        handleSnapshot(message);
+      } else if (message.type === 'patch') {
+        handlePatch(message);
+      }
+    });
+
+    function handleHello(hello) {
+      clearTimeout(helloTimer);
+      const negotiated = negotiateVersion(hello);
+      if (negotiated.error) {
+        fail(negotiated.error);
+        return;
+      }
+      protocolVersion = negotiated.version;
+      status.serverVersion = hello.version;
+      if (hello.data?.auth && token) {
+        ws.send(encodeMessage('auth', { token }, protocolVersion));
+      }
+      // Tells the server which version to speak (and from version 3 what to send); version 1 servers ignore it
+      const canSubscribe = protocolVersion >= 3 && subscription;
+      ws.send(encodeMessage('hello', canSubscribe ? { topics: subscription } : {}, protocolVersion));
+      status.paused = Boolean(canSubscribe) && Object.keys(subscription).length === 0;
+      status.error = null;
+      setState('connected');
+    }
+
+    function handleSnapshot({ data: snapshot, seq }) {
+      const problems = validateSnapshot(snapshot);
+      if (problems.length) {
+        console.error(`Invalid snapshot from ${url} (protocol v${status.serverVersion}):`, problems.join('; '));
+        fail(
+          `The WS server sent a snapshot this app can't read (${problems[0]}). ` +
+            `Server protocol v${status.serverVersion}, app v${PROTOCOL_VERSION}; update whichever is older.`
+        );
+        return;
+      }
+      current = snapshot;
+      lastSeq = seq ?? null;
+      awaitingResync = false;
+      onSnapshot(snapshot);
+    }
+
+    function handlePatch({ data: ops, seq }) {
+      // Patches already on the wire when we asked for a resync are useless; wait for the snapshot
+      if (awaitingResync) return;
+      if (!current || lastSeq === null || seq !== lastSeq + 1) {
+        requestResync(`expected patch ${lastSeq === null ? 'after a snapshot' : lastSeq + 1}, got ${seq}`);
+        return;
+      }
+      let next;
+      try {
+        next = applyPatch(current, ops);
+      } catch (err) {
+        requestResync(err.message);
+        return;
+      }
+      const problems = validateSnapshot(next);
+      if (problems.length) {
+        requestResync(`patched snapshot is invalid (${problems[0]})`);
+        return;
+      }
+      current = next;
+      lastSeq = seq;
+      onSnapshot(next);
+    }
+
+    function requestResync(reason) {
+      console.warn(`WS stream out of sync (${reason}); requesting a full snapshot.`);
+      awaitingResync = true;
+      ws.send(encodeMessage('resync', {}, protocolVersion));
+    }
+
+    ws.on('error', (err) => {
+      status.error = status.error || `WebSocket connection error (${err.message}).`;
+    });
+
+    ws.on('close', (code) => {
+      clearTimeout(helloTimer);
+      if (socket !== ws) return;
+      socket = null;
+      status.paused = false;
+      rejectPending('WebSocket connection closed.');
+      if (closed) return;
+      if (code === CLOSE_UNAUTHORIZED) {
+        status.error = 'WebSocket server rejected the access token. Check the token in Settings.';
+        retryable = false;
+      }
+      if (!retryable) {
+        setState('failed');
+        return;
+      }
+      status.error = status.error || 'WebSocket connection closed.';
+      status.retryAt = Date.now() + RECONNECT_DELAY_MS;
+      retryTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+      setState('reconnecting');
+    });
+  }
+
+  // Skips a pending reconnect delay, and retries after a failure
+  function reconnectNow() {
+    if (closed || socket) return;
+    connect();
+  }
+
+  /**
+   * Changes what the server sends: topic ('host', 'network', 'array', 'disks', 'containers', 'vms')
+   * -> interval ms. An empty object pauses the stream. Kept across reconnects; servers older than
+   * protocol version 3 ignore it and keep sending everything.
+   */
+  function subscribe(topics) {
+    if (JSON.stringify(topics) === JSON.stringify(subscription)) return;
+    subscription = topics;
+    if (!socket || status.state !== 'connected' || protocolVersion < 3) return;
+    socket.send(encodeMessage('subscribe', { topics }, protocolVersion));
+    status.paused = Object.keys(topics).length === 0;
+  }
+
+  function request(type, payload = {}) {
+    return new Promise((resolve, reject) => {
+      if (!socket || status.state !== 'connected') {
+        reject(new Error('WebSocket is not connected.'));
+        return;
+      }
+      const requestId = String(nextRequestId++);
+      const timer = setTimeout(() => {
+        pending.delete(requestId);
+        reject(new Error('Timed out waiting for the server.'));
+      }, REQUEST_TIMEOUT_MS);
+      pending.set(requestId, { resolve, reject, timer });
+      socket.send(encodeMessage(type, { ...payload, requestId }, protocolVersion));
+    });
+  }
+
+  function settleRequest(response) {
+    const entry = pending.get(response?.requestId);
+    if (!entry) return;
+    pending.delete(response.requestId);
+    clearTimeout(entry.timer);
+    entry.resolve(response);
+  }
+
+  function rejectPending(reason) {
+    pending.forEach((entry) => {
+      clearTimeout(entry.timer);
+      entry.reject(new Error(reason));
+    });
+    pending.clear();
+  }
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearTimeout(retryTimer);
+    const ws = socket;
+    socket = null;
+    rejectPending('WebSocket connection closed.');
+    if (ws) {
+      // terminate() on a socket that is still connecting emits 'error'
+      ws.removeAllListeners();
+      ws.on('error', () => {});
+      ws.terminate();
+    }
+  }
+
+  function getState() {
+    return { ...status };
+  }
+
+  function setState(state) {
+    status.state = state;
+    onState(getState());
+  }
+
+  return { connect, reconnectNow, subscribe, request, close, getState };
+}
+
+function readFingerprint(tlsSocket) {
+  try {
+    const raw = tlsSocket?.getPeerCertificate?.()?.raw;
+    return raw ? new crypto.X509Certificate(raw).fingerprint256.replace(/:/g, '').toLowerCase() : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  createWsClient
+};
@@ -0,0 +1,131 @@
+import http from 'http';
+
+// Minimal Docker Engine API client over the unix socket (no docker CLI needed).
+// Responses are structured JSON, so labels/ports don't go through lossy text parsing.
+
+const DOCKER_SOCKET = process.env.DOCKER_SOCKET || '/var/run/docker.sock';
+const REQUEST_TIMEOUT_MS = 15_000;
+
+export function getDockerSocketPath() {
+  return DOCKER_SOCKET;
+}
+
+export async function isDockerApiAvailable() {
+  try {
+    const { statusCode } = await dockerRequest('GET', '/_ping');
+    return statusCode === 200;
+  } catch {
+    return false;
+  }
+}
+
+export async function listContainers(filters = null) {
+  const params = new URLSearchParams({ all: '1' });
+  if (filters) {
+    params.set('filters', JSON.stringify(filters));
+  }
+  const { statusCode, data } = await dockerRequest('GET', `/containers/json?${params}`);
+  if (statusCode !== 200 || !Array.isArray(data)) {
+    throw new Error(`Docker API /containers/json returned ${statusCode}`);
+  }
+  return data;
+}
+
+export async function containerAction(id, action) {
+  const { statusCode, data } = await dockerRequest(
+    'POST',
+    `/containers/${encodeURIComponent(id)}/${action}`
+  );
+  // 204 = done, 304 = already in the requested state
+  if (statusCode !== 204 && statusCode !== 304) {
+    throw new Error(data?.message || `Docker API ${action} returned ${statusCode}`);
+  }
+}
+
+// Container lifecycle events as parsed objects. Returns a handle with close().
+export function streamContainerEvents(onEvent, onEnd) {
+  const filters = encodeURIComponent(JSON.stringify({ type: ['container'] }));
+  return streamJson(`/events?filters=${filters}`, onEvent, onEnd);
+}
+
+// Raw stats objects for one container (~1/s while it runs). Returns a handle with close().
+export function streamContainerStats(id, onStats, onEnd) {
+  return streamJson(`/containers/${encodeURIComponent(id)}/stats?stream=1`, onStats, onEnd);
+}
+
+function dockerRequest(method, path) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ socketPath: DOCKER_SOCKET, path, method }, (res) => {
+      let raw = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        raw += chunk;
+      });
+      res.on('end', () => {
+        let data = raw;
+        if ((res.headers['content-type'] || '').includes('application/json') && raw) {
+          try {
+            data = JSON.parse(raw);
+          } catch {
+            // keep raw text
+          }
+        }
+        resolve({ statusCode: res.statusCode, data });
+      });
+      res.on('error', reject);
+    });
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      req.destroy(new Error(`Docker API ${method} ${path} timed out`));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+// Long-lived GET that yields newline-delimited JSON objects.
+function streamJson(path, onMessage, onEnd) {
+  let finished = false;
+  const finish = (err) => {
+    if (finished) return;
+    finished = true;
+    onEnd?.(err || null);
+  };
+
+  const req = http.request({ socketPath: DOCKER_SOCKET, path, method: 'GET' }, (res) => {
+    if (res.statusCode !== 200) {
+      res.resume();
+      finish(new Error(`Docker API ${path} returned ${res.statusCode}`));
+      return;
+    }
+
+    let buffer = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, index).trim();
+        buffer = buffer.slice(index + 1);
+        if (!line) continue;
+        let parsed;
+        try {
+          parsed = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        onMessage(parsed);
+      }
+    });
+    res.on('end', () => finish(null));
+    res.on('error', finish);
+  });
+  req.on('error', finish);
+  req.end();
+
+  return {
+    close() {
+      finished = true;
+      req.destroy();
+    }
+  };
+}
@@ -0,0 +1,159 @@
+import fs from 'fs';
+import path from 'path';
+
+// Bounded time series of compact samples taken from the snapshots: every tick for the last
+// hour, one-minute averages for the last 24 hours. Optionally persisted as JSON so a
+// container restart doesn't wipe the charts.
+
+const RAW_WINDOW_MS = 60 * 60_000;
+const MINUTE_WINDOW_MS = 24 * 60 * 60_000;
+const MINUTE_MS = 60_000;
+
+// Reduce a full snapshot to the numbers the charts draw
+export function toHistorySample(snapshot) {
+  const containers = {};
+  (snapshot.containers || []).forEach((container) => {
+    const metrics = container.metrics;
+    if (!container.running || !metrics) return;
+    containers[container.name || container.id] = {
+      cpu: metrics.cpuPercent,
+      mem: metrics.memPercent,
+      rx: metrics.netRxMbps,
+      tx: metrics.netTxMbps
+    };
+  });
+
+  return {
+    t: Date.parse(snapshot.ts) || Date.now(),
+    cpu: snapshot.host?.cpuPercent ?? null,
+    mem: snapshot.host?.memory?.usedPercent ?? null,
+    array: snapshot.arrayUsage?.usedPercent ?? null,
+    rx: snapshot.network?.rxMbps ?? null,
+    tx: snapshot.network?.txMbps ?? null,
+    containers
+  };
+}
+
+export function createHistoryStore({ filePath = null } = {}) {
+  let raw = [];
+  let minutes = [];
+  // Samples of the minute in progress; averaged into `minutes` once a later minute starts
+  let pending = [];
+
+  function record(sample) {
+    const last = raw[raw.length - 1];
+    if (last && sample.t <= last.t) return;
+
+    raw.push(sample);
+    trim(raw, sample.t - RAW_WINDOW_MS);
+
+    if (pending.length && minuteOf(pending[0].t) !== minuteOf(sample.t)) {
+      minutes.push(averageSamples(pending, minuteOf(pending[0].t)));
+      trim(minutes, sample.t - MINUTE_WINDOW_MS);
+      pending = [];
+    }
+    pending.push(sample);
+  }
+
+  /**
+   * Samples in [since, until), averaged into buckets of `resolutionMs` (0 = as recorded).
+   * Sub-minute resolutions read the per-tick tier, with minute averages filling in anything
+   * older than it; coarser ones read the minute tier.
+   */
+  function query({ since = 0, until = Infinity, resolutionMs = 0 } = {}) {
+    const minuteTier = pending.length
+      ? [...minutes, averageSamples(pending, minuteOf(pending[0].t))]
+      : minutes;
+    let source = minuteTier;
+    if (resolutionMs < MINUTE_MS) {
+      const firstRaw = raw.length ? raw[0].t : Infinity;
+      source = [...minuteTier.filter((sample) => sample.t + MINUTE_MS <= firstRaw), ...raw];
+    }
+    const inRange = source.filter((sample) => sample.t >= since && sample.t < until);
+    if (!resolutionMs) {
+      return { resolutionMs, samples: inRange };
+    }
+
+    const buckets = new Map();
+    inRange.forEach((sample) => {
+      const start = Math.floor(sample.t / resolutionMs) * resolutionMs;
+      if (!buckets.has(start)) buckets.set(start, []);
+      buckets.get(start).push(sample);
+    });
+    return {
+      resolutionMs,
+      samples: Array.from(buckets, ([start, group]) =>
+        group.length === 1 ? group[0] : averageSamples(group, start)
+      )
+    };
+  }
+
+  function load() {
+    if (!filePath || !fs.existsSync(filePath)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      const now = Date.now();
+      raw = Array.isArray(data.raw) ? data.raw.filter((s) => s.t >= now - RAW_WINDOW_MS) : [];
+      minutes = Array.isArray(data.minutes)
+        ? data.minutes.filter((s) => s.t >= now - MINUTE_WINDOW_MS)
+        : [];
+      console.log(`Loaded ${raw.length} raw / ${minutes.length} minute history samples from ${filePath}`);
+    } catch (err) {
+      console.warn(`Unable to read history file ${filePath}:`, err.message);
+    }
+  }
+
+  function save() {
+    if (!filePath) return;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      // Write then rename so a crash mid-write never leaves a truncated file
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ raw, minutes }));
+      fs.renameSync(tmpPath, filePath);
+    } catch (err) {
+      console.warn(`Unable to write history file ${filePath}:`, err.message);
+    }
+  }
+
+  function size() {
+    return { raw: raw.length, minutes: minutes.length };
+  }
+
+  return { record, query, load, save, size };
+}
+
+function minuteOf(t) {
+  return Math.floor(t / MINUTE_MS) * MINUTE_MS;
+}
+
+function trim(list, cutoff) {
+  let drop = 0;
+  while (drop < list.length && list[drop].t < cutoff) drop += 1;
+  if (drop) list.splice(0, drop);
+}
+
+function averageSamples(samples, t) {
+  const result = { t, containers: {} };
+  ['cpu', 'mem', 'array', 'rx', 'tx'].forEach((field) => {
+    result[field] = average(samples.map((sample) => sample[field]));
+  });
+
+  const names = new Set(samples.flatMap((sample) => Object.keys(sample.containers || {})));
+  names.forEach((name) => {
+    const entries = samples.map((sample) => sample.containers?.[name]).filter(Boolean);
+    result.containers[name] = {
+      cpu: average(entries.map((entry) => entry.cpu)),
+      mem: average(entries.map((entry) => entry.mem)),
+      rx: average(entries.map((entry) => entry.rx)),
+      tx: average(entries.map((entry) => entry.tx))
+    };
+  });
+  return result;
+}
+
+function average(values) {
+  const finite = values.filter(Number.isFinite);
+  if (!finite.length) return null;
+  return Math.round((finite.reduce((sum, value) => sum + value, 0) / finite.length) * 100) / 100;
+}
@@ -0,0 +1,121 @@
+// Prometheus / OpenMetrics text exposition of a snapshot from collectSnapshot().
+// Everything is a gauge: the snapshot only holds current values, not running totals.
+
+export const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export function renderMetrics(snapshot, { openMetrics = false } = {}) {
+  const families = [];
+  const gauge = (name, help, samples) => {
+    families.push({ name, help, samples: samples.filter((sample) => Number.isFinite(sample.value)) });
+  };
+
+  const host = snapshot.host || {};
+  const memory = host.memory || {};
+  const array = snapshot.arrayUsage || {};
+  const network = snapshot.network;
+  const containers = snapshot.containers || [];
+  const vms = snapshot.vms || [];
+
+  gauge('unraid_host_info', 'Host metadata; always 1.', [
+    { labels: { hostname: host.hostname || '' }, value: 1 }
+  ]);
+  gauge('unraid_uptime_seconds', 'Host uptime in seconds.', [{ value: host.uptimeSeconds }]);
+  gauge('unraid_cpu_usage_ratio', 'Host CPU usage (0-1).', [{ value: ratio(host.cpuPercent) }]);
+  gauge('unraid_memory_total_bytes', 'Total host memory.', [{ value: memory.totalBytes }]);
+  gauge('unraid_memory_used_bytes', 'Host memory in use (total minus available).', [
+    { value: memory.usedBytes }
+  ]);
+  gauge('unraid_array_size_bytes', 'Size of /mnt/user.', [{ value: array.totalBytes }]);
+  gauge('unraid_array_used_bytes', 'Used space on /mnt/user.', [{ value: array.usedBytes }]);
+  gauge('unraid_array_usage_ratio', 'Used fraction of /mnt/user (0-1).', [
+    { value: ratio(array.usedPercent) }
+  ]);
+
+  const iface = { interface: network?.interface || '' };
+  gauge('unraid_network_receive_bytes_per_second', 'Inbound throughput on the monitored interface.', [
+    { labels: iface, value: mbpsToBytes(network?.rxMbps) }
+  ]);
+  gauge('unraid_network_transmit_bytes_per_second', 'Outbound throughput on the monitored interface.', [
+    { labels: iface, value: mbpsToBytes(network?.txMbps) }
+  ]);
+
+  const containerLabels = (container) => ({ name: container.name || container.id, image: container.image || '' });
+  gauge(
+    'unraid_container_running',
+    'Whether the container is running (1) or not (0).',
+    containers.map((container) => ({ labels: containerLabels(container), value: container.running ? 1 : 0 }))
+  );
+  gauge(
+    'unraid_container_paused',
+    'Whether the container is paused (1) or not (0).',
+    containers.map((container) => ({ labels: containerLabels(container), value: container.paused ? 1 : 0 }))
+  );
+  gauge(
+    'unraid_container_cpu_usage_ratio',
+    'Container CPU usage; 1 = one full core.',
+    containers.map((container) => ({
+      labels: containerLabels(container),
+      value: ratio(container.metrics?.cpuPercent)
+    }))
+  );
+  gauge(
+    'unraid_container_memory_used_bytes',
+    'Container memory usage.',
+    containers.map((container) => ({
+      labels: containerLabels(container),
+      value: container.metrics?.memUsedBytes
+    }))
+  );
+
+  // One series per VM with its current state as a label (enum style), plus a simple 0/1
+  gauge(
+    'unraid_vm_state',
+    'Current libvirt state of the VM; always 1, the state is in the label.',
+    vms.map((vm) => ({ labels: { name: vm.name, state: vm.state || 'unknown' }, value: 1 }))
+  );
+  gauge(
+    'unraid_vm_running',
+    'Whether the VM is running (1) or not (0).',
+    vms.map((vm) => ({ labels: { name: vm.name }, value: vm.running ? 1 : 0 }))
+  );
+
+  const lines = [];
+  families.forEach(({ name, help, samples }) => {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} gauge`);
+    samples.forEach(({ labels, value }) => {
+      lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+    });
+  });
+  if (openMetrics) {
+    lines.push('# EOF');
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export function wantsOpenMetrics(acceptHeader = '') {
+  return String(acceptHeader).includes('application/openmetrics-text');
+}
+
+function formatLabels(labels) {
+  if (!labels) return '';
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  return Number.isInteger(value) ? String(value) : String(Math.round(value * 1e6) / 1e6);
+}
+
+function ratio(percent) {
+  return Number.isFinite(percent) ? percent / 100 : null;
+}
+
+function mbpsToBytes(mbps) {
+  return Number.isFinite(mbps) ? (mbps * 1e6) / 8 : null;
+}
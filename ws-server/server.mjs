@@ -1,18 +1,81 @@
-import { WebSocketServer } from 'ws';
+import { WebSocketServer, WebSocket } from 'ws';
 import fs from 'fs';
 import os from 'os';
-import { exec, spawn } from 'child_process';
+import path from 'path';
+import http from 'http';
+import https from 'https';
+import crypto from 'crypto';
+import { exec, execFile, execFileSync, spawn } from 'child_process';
 import { promisify } from 'util';
+import * as dockerApi from './docker-api.mjs';
+import { createHistoryStore, toHistorySample } from './history.mjs';
+import { diffSnapshots } from './snapshot-diff.mjs';
+import { renderMetrics, wantsOpenMetrics, OPENMETRICS_CONTENT_TYPE, PROMETHEUS_CONTENT_TYPE } from './metrics.mjs';
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 const PORT = process.env.PORT || 8510;
 const INTERFACE = process.env.NET_IFACE || 'bond0'; // e.g. bond0, br0, eth0
 const UNRAID_HOST = process.env.UNRAID_HOST || null; // e.g. 192.168.1.207
+const WS_TOKEN = process.env.WS_TOKEN || null; // shared secret; auth is disabled when unset
+
+// TLS: either mount a cert/key pair, or set TLS_SELF_SIGNED=1 to generate one under TLS_DIR
+const TLS_CERT = process.env.TLS_CERT || null; // e.g. /certs/server.crt
+const TLS_KEY = process.env.TLS_KEY || null; // e.g. /certs/server.key
+const TLS_SELF_SIGNED = ['1', 'true', 'yes'].includes(String(process.env.TLS_SELF_SIGNED || '').toLowerCase());
+const TLS_DIR = process.env.TLS_DIR || '/certs';
+
+// Clients that don't authenticate within this window are dropped
+const AUTH_TIMEOUT_MS = 5000;
+// Application close code for failed / missing authentication
+const CLOSE_UNAUTHORIZED = 4401;
+
+// WS message envelope { type, version, data }; see README "WS protocol". Bump PROTOCOL_VERSION on
+// breaking changes to a message or to snapshot.schema.json, and MIN_PROTOCOL_VERSION once the
+// server stops speaking an older version. Version 2 added 'patch' / 'resync' and the client's 'hello',
+// version 3 topic subscriptions.
+const PROTOCOL_VERSION = 3;
+const MIN_PROTOCOL_VERSION = 1;
+// Advertised in 'hello': 'snapshot' / 'patch' / 'subscribe' plus every request type in requestHandlers
+const CAPABILITIES = ['snapshot', 'patch', 'subscribe', 'docker:action', 'vm:action', 'history:get'];
+// Clients announce their version (and from version 3 their topics) in 'hello'; one that stays silent
+// this long is a version 1 client and gets every topic
+const CLIENT_HELLO_TIMEOUT_MS = 1000;
+// A client whose socket has this much unsent data skips ticks until it drains (slow VPN / tethering)
+const MAX_BUFFERED_BYTES = 256 * 1024;
+const SNAPSHOT_SCHEMA = JSON.parse(fs.readFileSync(new URL('./snapshot.schema.json', import.meta.url), 'utf-8'));
+
+// Container actions clients may request (maps 1:1 onto docker CLI verbs)
+const DOCKER_ACTIONS = ['start', 'stop', 'restart', 'pause', 'unpause'];
+// VM power actions clients may request (virsh verbs)
+const VM_ACTIONS = ['start', 'shutdown', 'destroy', 'suspend', 'resume'];
+
+// Sampler resolution, shared by all clients: the shortest and the default interval of a topic
+const TICK_MS = 1000;
+// Subscription topics, in snapshot field order ('array' covers arrayUsage and parity)
+const TOPICS = ['host', 'network', 'array', 'disks', 'containers', 'vms'];
+const MAX_TOPIC_INTERVAL_MS = 60 * 60_000;
+// With no subscribers the sampler keeps feeding history at this slower rate (0 = stop), collecting
+// only the cheap topics history stores; containers / VMs / disks cost docker and virsh calls
+const IDLE_TICK_MS = Number(process.env.HISTORY_IDLE_TICK_MS ?? 15_000);
+const IDLE_TOPICS = ['host', 'network', 'array'];
+// Topics toHistorySample() reads
+const HISTORY_TOPICS = [...IDLE_TOPICS, 'containers'];
+
+// Optional JSON file (on a mounted volume) that keeps history across container restarts
+const HISTORY_FILE = process.env.HISTORY_FILE || null;
+const HISTORY_SAVE_MS = 5 * 60_000;
 
 // VM cache (we still poll virsh, but slowly)
 const VM_CACHE_MS = 60_000;
 
+// Per-disk view from Unraid's emhttp state; temps/spin state only change every few seconds anyway
+const DISKS_INI_PATH = process.env.DISKS_INI_PATH || '/var/local/emhttp/disks.ini';
+const DISKS_CACHE_MS = 10_000;
+// Array state (parity check / rebuild progress); falls back to `mdcmd status` when var.ini isn't mounted
+const VAR_INI_PATH = process.env.VAR_INI_PATH || '/var/local/emhttp/var.ini';
+
 let lastNet = null;
 
 // Containers cache: initialised once via docker ps -a + inspect, then updated via docker events
@@ -24,56 +87,784 @@ let containersCache = {
 
 let vmsCache = { ts: 0, value: [] };
 
-const wss = new WebSocketServer({ port: PORT });
-console.log(`Unraid companion WS listening on ws://0.0.0.0:${PORT}`);
+let disksCache = { ts: 0, value: [] };
+
+// Per-container runtime metrics from streaming docker stats (only while clients are connected)
+const dockerStats = {
+  active: false, // streaming while some client subscribes to 'containers'
+  child: null, // CLI fallback: one `docker stats` process
+  stopping: false,
+  apiStreams: new Map(), // Engine API: container id -> stats stream handle
+  byKey: new Map() // id / short id / name -> { metrics, rxBytes, txBytes, ts }
+};
+// Samples older than this are treated as gone (container stopped, stream stalled)
+const DOCKER_STATS_MAX_AGE_MS = 10_000;
+
+// Authenticated clients: ws -> {
+//   version: protocol version from the client's 'hello' (1 if it never sent one),
+//   topics: Map topic -> interval ms it subscribed to (empty = paused, or no 'hello' yet),
+//   seq: number of the last snapshot / patch sent, so the client can spot a gap,
+//   view: JSON of the last snapshot / patch result sent, the base for the next patch (null = none),
+//   sent: topic -> the sampler.topicData entry last sent
+// }
+const clients = new Map();
+
+// Shared sampler state: full rate while clients subscribe to something, IDLE_TICK_MS otherwise
+const sampler = {
+  timer: null,
+  mode: null, // 'active' | 'idle' | null
+
+  inFlight: false,
+  ticks: 0,
+  skippedTicks: 0,
+  lastTickMs: null,
+  maxTickMs: 0,
+  topicData: {}, // topic -> { at, fields }: latest collection (JSON copies) of each subscribed topic
+  lastSnapshot: null, // most recent snapshot object (active or idle), reused by /metrics
+  lastSnapshotAt: 0,
+  lastSnapshotComplete: false, // false after idle ticks and while clients subscribe to only some topics
+  historyAt: 0 // last collection of IDLE_TOPICS, which history needs at least every IDLE_TICK_MS
+};
+
+// topic -> collector resolving to the snapshot fields it fills
+const topicCollectors = {
+  host: async () => ({ host: await collectHostStats() }),
+  network: async () => ({ network: await collectNetworkStats() }),
+  array: async () => {
+    const [arrayUsage, parity] = await Promise.all([collectArrayUsage(), collectParityStatus()]);
+    return { arrayUsage, parity };
+  },
+  disks: async () => ({ disks: await getDisksSnapshot() }),
+  containers: async () => ({ containers: await getContainersSnapshot() }),
+  vms: async () => ({ vms: await getVmsSnapshot() })
+};
+
+const history = createHistoryStore({ filePath: HISTORY_FILE });
+
+const tls = loadTlsOptions();
+const server = tls
+  ? https.createServer(tls, handleHttpRequest)
+  : http.createServer(handleHttpRequest);
+// HTTP requests (/metrics, /api/*) and WebSocket upgrades share the port
+const wss = new WebSocketServer({ noServer: true });
+server.on('upgrade', (req, socket, head) => {
+  wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+});
+server.listen(PORT, () => {
+  console.log(`Unraid companion WS listening on ${tls ? 'wss' : 'ws'}://0.0.0.0:${PORT}`);
+});
+if (tls) {
+  console.log(`TLS certificate SHA-256 fingerprint: ${tls.fingerprint}`);
+}
 console.log(`Using interface: ${INTERFACE}`);
 if (UNRAID_HOST) {
   console.log(`Using UNRAID_HOST for URL building: ${UNRAID_HOST}`);
 } else {
   console.log('UNRAID_HOST not set; will fall back to container IP / localhost for URLs.');
 }
+if (WS_TOKEN) {
+  console.log('WS_TOKEN set; clients must authenticate.');
+} else {
+  console.warn('WS_TOKEN not set; accepting unauthenticated clients.');
+}
+
+// Prefer the Engine API over the socket; the docker CLI is only a fallback (the image ships none).
+// With neither, containers stay empty and everything else is still served.
+const DOCKER_MODE = await detectDockerMode();
+if (DOCKER_MODE === 'api') {
+  console.log(`Using Docker Engine API at ${dockerApi.getDockerSocketPath()}`);
+} else if (DOCKER_MODE === 'cli') {
+  console.log('Docker Engine API unavailable; falling back to docker CLI.');
+} else {
+  console.warn(
+    `Docker Engine API unreachable at ${dockerApi.getDockerSocketPath()} and no docker CLI on PATH; ` +
+      'containers are disabled. Mount /var/run/docker.sock (or set DOCKER_SOCKET).'
+  );
+}
 
 // Start docker events listener immediately
-startDockerEventsListener();
+if (DOCKER_MODE) startDockerEventsListener();
+
+history.load();
+if (HISTORY_FILE) {
+  console.log(`Persisting history to ${HISTORY_FILE}`);
+  setInterval(() => history.save(), HISTORY_SAVE_MS).unref();
+}
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.once(signal, () => {
+    history.save();
+    process.exit(0);
+  });
+});
+
+// Record history from the start, not just once the first client shows up
+stopSampler();
 
-// Periodic snapshots to clients
-wss.on('connection', (ws) => {
-  console.log('Client connected');
+wss.on('connection', (ws, req) => {
+  // Sent before authentication so clients can tell an incompatible server from a wrong token
+  sendMessage(ws, 'hello', {
+    minVersion: MIN_PROTOCOL_VERSION,
+    capabilities: CAPABILITIES,
+    auth: Boolean(WS_TOKEN),
+    tickIntervalMs: TICK_MS
+  });
 
-  const interval = setInterval(async () => {
+  if (!WS_TOKEN || isValidToken(readQueryToken(req))) {
+    acceptClient(ws);
+    return;
+  }
+
+  // No valid token in the URL: the first message must be { type: 'auth', data: { token } }
+  const authTimer = setTimeout(() => {
+    rejectClient(ws, 'Authentication timed out');
+  }, AUTH_TIMEOUT_MS);
+
+  ws.once('message', (raw) => {
+    clearTimeout(authTimer);
+    let msg = null;
     try {
-      const payload = await collectSnapshot();
-      ws.send(JSON.stringify(payload));
-    } catch (err) {
-      console.error('collectSnapshot failed:', err.message);
+      msg = JSON.parse(raw.toString());
+    } catch {
+      // fall through to rejection
+    }
+    if (msg?.type === 'auth' && isValidToken(readEnvelope(msg).data.token)) {
+      acceptClient(ws);
+    } else {
+      rejectClient(ws, 'Invalid token');
     }
-  }, 1000); // 1s tick
-
-  ws.on('close', () => {
-    clearInterval(interval);
-    console.log('Client disconnected');
   });
+
+  ws.on('close', () => clearTimeout(authTimer));
 });
 
-async function collectSnapshot() {
-  const [host, network, arrayUsage, containers, vms] = await Promise.all([
-    collectHostStats(),
-    collectNetworkStats(),
-    collectArrayUsage(),
-    getContainersSnapshot(),
-    getVmsSnapshot()
-  ]);
+/* -------- HTTP / TLS -------- */
+
+function handleHttpRequest(req, res) {
+  const { pathname } = new URL(req.url || '/', 'http://localhost');
+  if (pathname === '/metrics' || pathname.startsWith('/api/')) {
+    handleReadOnlyRequest(req, res, pathname);
+    return;
+  }
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('Upgrade Required: connect with a WebSocket client.\n');
+}
+
+// Same token as the WS clients, as a bearer header or ?token=
+function handleReadOnlyRequest(req, res, pathname) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { 'Content-Type': 'text/plain', Allow: 'GET, HEAD' });
+    res.end('Method Not Allowed\n');
+    return;
+  }
+  if (WS_TOKEN && !isValidToken(readBearerToken(req)) && !isValidToken(readQueryToken(req))) {
+    res.writeHead(401, { 'Content-Type': 'text/plain', 'WWW-Authenticate': 'Bearer' });
+    res.end('Unauthorized\n');
+    return;
+  }
+
+  if (pathname === '/metrics') {
+    handleMetricsRequest(req, res);
+  } else {
+    handleApiRequest(req, res, pathname);
+  }
+}
+
+async function handleMetricsRequest(req, res) {
+  try {
+    const snapshot = await getFreshSnapshot();
+    const openMetrics = wantsOpenMetrics(req.headers.accept);
+    res.writeHead(200, {
+      'Content-Type': openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE
+    });
+    res.end(renderMetrics(snapshot, { openMetrics }));
+  } catch (err) {
+    console.error('/metrics failed:', err.message);
+    res.writeHead(500, { 'Content-Type': 'text/plain' });
+    res.end('Failed to collect metrics\n');
+  }
+}
+
+/* -------- REST API (read-only JSON, same shapes as the WS payload) -------- */
+
+const apiRoutes = [
+  [/^\/api\/snapshot$/, async () => ({ ...(await getFreshSnapshot()), server: getSamplerStats() })],
+  [/^\/api\/containers$/, () => getContainersSnapshot()],
+  [/^\/api\/containers\/([^/]+)$/, (id) => getApiContainer(id)],
+  [/^\/api\/vms$/, () => getVmsSnapshot()],
+  [/^\/api\/health$/, () => getApiHealth()],
+  [/^\/api\/schema$/, () => SNAPSHOT_SCHEMA]
+];
+
+async function handleApiRequest(req, res, pathname) {
+  let status = 200;
+  let body;
+  try {
+    const route = apiRoutes.find(([pattern]) => pattern.test(pathname));
+    if (!route) {
+      throw httpError(404, `No such endpoint: ${pathname}`);
+    }
+    const params = route[0].exec(pathname).slice(1).map(decodePathParam);
+    body = await route[1](...params);
+  } catch (err) {
+    status = err.statusCode || 500;
+    if (status === 500) {
+      console.error(`${pathname} failed:`, err.message);
+    }
+    body = { error: err.message || 'Request failed.' };
+  }
+
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(req.method === 'HEAD' ? undefined : JSON.stringify(body));
+}
 
+// A malformed escape (e.g. %E0) is the client's mistake, not a server error
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw httpError(400, `Invalid URL encoding: ${value}`);
+  }
+}
+
+// Full id, short id or container name
+async function getApiContainer(id) {
+  const containers = await getContainersSnapshot();
+  const container = containers.find(
+    (c) => c.id === id || c.name === id || (id.length >= 12 && c.id.startsWith(id))
+  );
+  if (!container) {
+    throw httpError(404, `No such container: ${id}`);
+  }
+  return container;
+}
+
+function getApiHealth() {
   return {
+    status: 'ok',
     ts: new Date().toISOString(),
-    host,
-    network,
-    arrayUsage,
-    containers,
-    vms
+    dockerMode: DOCKER_MODE,
+    sampler: sampler.mode || 'stopped',
+    tls: Boolean(tls),
+    server: getSamplerStats()
   };
 }
 
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Reuse the sampler's latest snapshot while it is fresh and has every topic; otherwise collect one
+async function getFreshSnapshot() {
+  const intervalMs = sampler.mode === 'active' ? TICK_MS : IDLE_TICK_MS;
+  if (
+    sampler.lastSnapshot &&
+    sampler.lastSnapshotComplete &&
+    sampler.mode &&
+    Date.now() - sampler.lastSnapshotAt <= intervalMs * 2
+  ) {
+    return sampler.lastSnapshot;
+  }
+  return collectSnapshot();
+}
+
+function loadTlsOptions() {
+  let certPath = TLS_CERT;
+  let keyPath = TLS_KEY;
+
+  if (!certPath || !keyPath) {
+    if (!TLS_SELF_SIGNED) return null;
+    certPath = path.join(TLS_DIR, 'server.crt');
+    keyPath = path.join(TLS_DIR, 'server.key');
+    if (!fs.existsSync(certPath) || !fs.existsSync(keyPath)) {
+      generateSelfSignedPair(certPath, keyPath);
+    }
+  }
+
+  try {
+    const cert = fs.readFileSync(certPath);
+    const key = fs.readFileSync(keyPath);
+    const fingerprint = new crypto.X509Certificate(cert).fingerprint256;
+    console.log(`Using TLS certificate ${certPath}`);
+    return { cert, key, fingerprint };
+  } catch (err) {
+    console.error('Unable to load TLS certificate/key:', err.message);
+    process.exit(1);
+  }
+}
+
+function generateSelfSignedPair(certPath, keyPath) {
+  // Stored on disk (mount TLS_DIR as a volume) so the fingerprint survives restarts
+  const commonName = UNRAID_HOST || os.hostname();
+  console.log(`Generating self-signed certificate for ${commonName} in ${path.dirname(certPath)}`);
+  fs.mkdirSync(path.dirname(certPath), { recursive: true });
+  try {
+    execFileSync('openssl', [
+      'req',
+      '-x509',
+      '-newkey',
+      'rsa:2048',
+      '-nodes',
+      '-sha256',
+      '-days',
+      '3650',
+      '-subj',
+      `/CN=${commonName}`,
+      '-keyout',
+      keyPath,
+      '-out',
+      certPath
+    ], { stdio: 'ignore' });
+  } catch (err) {
+    console.error('Failed to generate self-signed certificate (is openssl installed?):', err.message);
+    process.exit(1);
+  }
+}
+
+/* -------- Client authentication -------- */
+
+function readQueryToken(req) {
+  try {
+    const url = new URL(req.url || '/', 'ws://localhost');
+    return url.searchParams.get('token');
+  } catch {
+    return null;
+  }
+}
+
+function readBearerToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1].trim() : null;
+}
+
+function isValidToken(candidate) {
+  if (!WS_TOKEN || typeof candidate !== 'string' || !candidate) return false;
+  const expected = Buffer.from(WS_TOKEN);
+  const actual = Buffer.from(candidate);
+  if (expected.length !== actual.length) return false;
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function rejectClient(ws, reason) {
+  console.warn(`Rejecting client: ${reason}`);
+  ws.close(CLOSE_UNAUTHORIZED, 'Unauthorized');
+}
+
+// One shared sampler feeds every authenticated client
+function acceptClient(ws) {
+  const client = { version: 1, topics: new Map(), seq: 0, view: null, sent: {} };
+  clients.set(ws, client);
+  console.log(`Client connected (${clients.size} total)`);
+
+  // Nothing is collected for the client until it says what it wants
+  const helloTimer = setTimeout(() => subscribeClient(ws, client, allTopics()), CLIENT_HELLO_TIMEOUT_MS);
+  client.helloTimer = helloTimer;
+
+  ws.on('message', (raw) => handleClientMessage(ws, raw));
+
+  ws.on('close', () => {
+    clearTimeout(helloTimer);
+    clients.delete(ws);
+    console.log(`Client disconnected (${clients.size} remaining)`);
+    syncSampler();
+  });
+}
+
+// Replaces the client's topics; dropped ones disappear from its next update
+function subscribeClient(ws, client, topics) {
+  clearTimeout(client.helloTimer);
+  client.topics = topics;
+  Object.keys(client.sent).forEach((topic) => {
+    if (!topics.has(topic)) delete client.sent[topic];
+  });
+  syncSampler();
+  if (!client.view) {
+    // Give new clients the latest snapshot straight away instead of waiting for the next tick
+    sendFullSnapshot(ws, client);
+  }
+}
+
+function allTopics() {
+  return new Map(TOPICS.map((topic) => [topic, TICK_MS]));
+}
+
+// { host: 1000, containers: 5000, ... } -> Map; unknown topics are ignored, intervals are clamped
+function parseSubscription(topics) {
+  const subscription = new Map();
+  if (!topics || typeof topics !== 'object') return subscription;
+  TOPICS.forEach((topic) => {
+    if (!Object.hasOwn(topics, topic)) return;
+    subscription.set(topic, Math.round(clamp(Number(topics[topic]), TICK_MS, MAX_TOPIC_INTERVAL_MS)));
+  });
+  return subscription;
+}
+
+/* -------- Client requests ({ type, version, data: { requestId, ... } } -> response { requestId, success, message }) -------- */
+
+const requestHandlers = {
+  'docker:action': handleDockerActionRequest,
+  'vm:action': handleVmActionRequest,
+  'history:get': handleHistoryRequest
+};
+
+async function handleClientMessage(ws, raw) {
+  let msg;
+  try {
+    msg = JSON.parse(raw.toString());
+  } catch {
+    return;
+  }
+  if (!msg || typeof msg !== 'object') return;
+  const { version, data } = readEnvelope(msg);
+  const { requestId } = data;
+
+  if (!isSupportedVersion(version)) {
+    sendResponse(ws, requestId, {
+      success: false,
+      message: `Unsupported protocol version ${version}; this server speaks ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}.`
+    });
+    return;
+  }
+
+  const client = clients.get(ws);
+  if (msg.type === 'hello') {
+    client.version = version;
+    const topics = client.version >= 3 && data.topics ? parseSubscription(data.topics) : allTopics();
+    subscribeClient(ws, client, topics);
+    return;
+  }
+  if (msg.type === 'subscribe') {
+    subscribeClient(ws, client, parseSubscription(data.topics));
+    sendResponse(ws, requestId, { success: true, topics: Object.fromEntries(client.topics) });
+    return;
+  }
+  if (msg.type === 'resync') {
+    console.log('Client missed a patch; resending the full snapshot');
+    sendFullSnapshot(ws, client);
+    return;
+  }
+
+  const handler = requestHandlers[msg.type];
+  if (!handler) {
+    // Unknown or fire-and-forget messages (e.g. a late 'auth') are ignored unless a reply is expected
+    sendResponse(ws, requestId, { success: false, message: `Unknown request type: ${msg.type}` });
+    return;
+  }
+
+  try {
+    const result = await handler(data);
+    sendResponse(ws, requestId, { success: true, ...result });
+  } catch (err) {
+    console.error(`Request ${msg.type} failed:`, err.message);
+    sendResponse(ws, requestId, { success: false, message: err.message || 'Request failed.' });
+  }
+}
+
+// Messages without `version` come from version 1 clients, which may also send their fields bare
+// ({ type, requestId, ... }) instead of under `data`
+function readEnvelope(msg) {
+  if (msg.version === undefined || msg.version === null) {
+    const data = msg.data && typeof msg.data === 'object' ? msg.data : msg;
+    return { version: 1, data };
+  }
+  return { version: msg.version, data: msg.data && typeof msg.data === 'object' ? msg.data : {} };
+}
+
+function isSupportedVersion(version) {
+  return Number.isInteger(version) && version >= MIN_PROTOCOL_VERSION && version <= PROTOCOL_VERSION;
+}
+
+function sendResponse(ws, requestId, body) {
+  if (!requestId) return;
+  sendMessage(ws, 'response', { requestId, ...body });
+}
+
+// `extra` holds envelope fields besides type / version / data, e.g. `seq` on snapshots and patches
+function encodeMessage(type, data, extra = {}) {
+  return JSON.stringify({ type, version: PROTOCOL_VERSION, ...extra, data });
+}
+
+function sendMessage(ws, type, data) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  ws.send(encodeMessage(type, data));
+}
+
+async function handleDockerActionRequest(msg) {
+  const action = String(msg.action || '').toLowerCase();
+  const id = String(msg.id || '');
+  if (!DOCKER_ACTIONS.includes(action)) {
+    throw new Error(`Unsupported container action: ${msg.action}`);
+  }
+  if (!/^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/.test(id)) {
+    throw new Error('Invalid container id.');
+  }
+
+  if (!DOCKER_MODE) {
+    throw new Error('Docker is not reachable from the WS server.');
+  }
+  console.log(`docker ${action} ${id}`);
+  if (DOCKER_MODE === 'api') {
+    await dockerApi.containerAction(id, action);
+  } else {
+    await execAsync(`docker ${action} ${id}`);
+  }
+  // docker events will also fire, but refresh now so the next tick reflects the change
+  await refreshSingleContainer(id);
+  return {};
+}
+
+async function handleVmActionRequest(msg) {
+  const action = String(msg.action || '').toLowerCase();
+  const name = String(msg.name || '').trim();
+  if (!VM_ACTIONS.includes(action)) {
+    throw new Error(`Unsupported VM action: ${msg.action}`);
+  }
+  if (!name) {
+    throw new Error('VM name is required.');
+  }
+
+  console.log(`virsh ${action} "${name}"`);
+  // execFile: VM names can contain spaces and quotes, so never go through a shell here
+  await execFileAsync('virsh', [action, name]);
+  // Don't wait out VM_CACHE_MS; the next tick re-reads virsh
+  vmsCache = { ...vmsCache, ts: 0 };
+  return {};
+}
+
+// { since, until?, resolutionMs? } (epoch ms) -> { resolutionMs, samples: [{ t, cpu, mem, array, rx, tx, containers }] }
+async function handleHistoryRequest(msg) {
+  const since = Number(msg.since ?? 0);
+  const until = msg.until === undefined || msg.until === null ? Infinity : Number(msg.until);
+  const resolutionMs = Number(msg.resolutionMs ?? 0);
+  if (![since, until, resolutionMs].every((value) => Number.isFinite(value) || value === Infinity)) {
+    throw new Error('since, until and resolutionMs must be numbers (epoch ms / ms).');
+  }
+  if (resolutionMs < 0) {
+    throw new Error('resolutionMs must not be negative.');
+  }
+  return history.query({ since, until, resolutionMs });
+}
+
+/* -------- Shared sampler (collects the topics clients subscribed to, sends each client its own) -------- */
+
+// Runs the sampler at full resolution while any client subscribes to something, idle otherwise
+function syncSampler() {
+  const subscribed = subscribedTopics();
+  Object.keys(sampler.topicData).forEach((topic) => {
+    // A later subscriber must not get data nobody kept up to date
+    if (!subscribed.has(topic)) delete sampler.topicData[topic];
+  });
+  if (subscribed.size === 0) {
+    stopSampler();
+    return;
+  }
+  if (subscribed.has('containers')) {
+    startDockerStatsStream();
+  } else {
+    stopDockerStatsStream();
+  }
+  startSampler();
+}
+
+function startSampler() {
+  if (sampler.mode === 'active') return;
+  clearInterval(sampler.timer);
+  sampler.mode = 'active';
+  sampler.timer = setInterval(runSamplerTick, TICK_MS);
+  console.log('Sampler started');
+  runSamplerTick();
+}
+
+// No subscribers: drop to the idle history rate (or stop entirely when IDLE_TICK_MS is 0)
+function stopSampler() {
+  if (sampler.mode === 'idle' || (!sampler.timer && IDLE_TICK_MS <= 0)) return;
+  stopDockerStatsStream();
+  clearInterval(sampler.timer);
+  sampler.timer = null;
+  // Drop state that would be stale by the time the next client subscribes
+  sampler.topicData = {};
+
+  if (IDLE_TICK_MS > 0) {
+    sampler.mode = 'idle';
+    sampler.timer = setInterval(runSamplerTick, IDLE_TICK_MS);
+    console.log(`Sampler idle (no subscribers); recording history every ${IDLE_TICK_MS} ms`);
+  } else {
+    sampler.mode = null;
+    lastNet = null;
+    console.log('Sampler stopped (no subscribers)');
+  }
+}
+
+async function runSamplerTick() {
+  // A slow tick (e.g. df on a spun-down array) must not stack up collectors
+  if (sampler.inFlight) {
+    sampler.skippedTicks += 1;
+    return;
+  }
+  // Idle ticks collect what history needs; active ones what is due, plus the history topics on the
+  // idle cadence so slow alert-only subscriptions don't leave history without network samples
+  const active = sampler.mode === 'active';
+  const historyDue = !active || (IDLE_TICK_MS > 0 && isDue(sampler.historyAt, IDLE_TICK_MS, Date.now()));
+  const due = active ? dueTopics(Date.now()) : [];
+  const topics = TOPICS.filter((topic) => due.includes(topic) || (historyDue && IDLE_TOPICS.includes(topic)));
+  if (!topics.length) return;
+
+  sampler.inFlight = true;
+  const startedAt = Date.now();
+  try {
+    const parts = await collectTopics(topics);
+    const now = Date.now();
+    const tickMs = now - startedAt;
+    sampler.ticks += 1;
+    sampler.lastTickMs = tickMs;
+    sampler.maxTickMs = Math.max(sampler.maxTickMs, tickMs);
+
+    const ts = new Date(now).toISOString();
+    if (IDLE_TOPICS.every((topic) => topics.includes(topic))) sampler.historyAt = now;
+    // Only what this tick collected: repeating older topic data would put stale values into history
+    if (topics.some((topic) => HISTORY_TOPICS.includes(topic))) {
+      history.record(toHistorySample({ ts, ...Object.assign({}, ...Object.values(parts)) }));
+    }
+
+    if (!active) {
+      sampler.lastSnapshot = { ts, ...Object.assign({}, ...Object.values(parts)) };
+      sampler.lastSnapshotAt = now;
+      sampler.lastSnapshotComplete = false;
+      return;
+    }
+    // Everyone unsubscribed while this tick was collecting
+    if (sampler.mode !== 'active') return;
+
+    const subscribed = subscribedTopics();
+    topics
+      .filter((topic) => subscribed.has(topic))
+      .forEach((topic) => {
+        // JSON copies: what clients actually receive (NaN -> null, undefined dropped), safe to diff
+        sampler.topicData[topic] = { at: now, fields: JSON.parse(JSON.stringify(parts[topic])) };
+      });
+    const collected = TOPICS.filter((topic) => sampler.topicData[topic]);
+    sampler.lastSnapshot = {
+      ts,
+      ...Object.assign({}, ...collected.map((topic) => sampler.topicData[topic].fields))
+    };
+    sampler.lastSnapshotAt = now;
+    sampler.lastSnapshotComplete = collected.length === TOPICS.length;
+
+    broadcastSnapshot(now);
+  } catch (err) {
+    console.error('collectSnapshot failed:', err.message);
+  } finally {
+    sampler.inFlight = false;
+  }
+}
+
+// topic -> shortest interval any client subscribed to it with
+function subscribedTopics() {
+  const intervals = new Map();
+  for (const client of clients.values()) {
+    client.topics.forEach((intervalMs, topic) => {
+      intervals.set(topic, Math.min(intervalMs, intervals.get(topic) ?? Infinity));
+    });
+  }
+  return intervals;
+}
+
+// Half a tick of slack so timer jitter and collection time don't push a topic to the next tick
+function isDue(lastAt, intervalMs, now) {
+  return now - lastAt >= intervalMs - TICK_MS / 2;
+}
+
+function dueTopics(now) {
+  const intervals = subscribedTopics();
+  return TOPICS.filter((topic) => {
+    const data = sampler.topicData[topic];
+    return intervals.has(topic) && (!data || isDue(data.at, intervals.get(topic), now));
+  });
+}
+
+// Each client gets its topics at its own intervals: a full 'snapshot' first (and always for version 1
+// clients), then 'patch' messages against what it last received
+function broadcastSnapshot(now) {
+  for (const [ws, client] of clients) {
+    if (ws.readyState !== WebSocket.OPEN) continue;
+    // Slow link (VPN, tethering): hold updates until the socket drains; the next one catches up
+    if (ws.bufferedAmount > MAX_BUFFERED_BYTES) continue;
+    const topics = topicsToSend(client, now);
+    if (topics.length) sendUpdate(ws, client, topics);
+  }
+}
+
+// Topics with data newer than the client has whose interval has passed. A client without a snapshot
+// yet waits until every topic it subscribed to has been collected.
+function topicsToSend(client, now) {
+  const subscribed = [...client.topics.keys()];
+  if (!client.view) {
+    return subscribed.every((topic) => sampler.topicData[topic]) ? subscribed : [];
+  }
+  return subscribed.filter((topic) => {
+    const data = sampler.topicData[topic];
+    const sent = client.sent[topic];
+    if (!data || data === sent) return false;
+    return !sent || isDue(sent.at, client.topics.get(topic), now);
+  });
+}
+
+function sendUpdate(ws, client, topics) {
+  topics.forEach((topic) => {
+    client.sent[topic] = sampler.topicData[topic];
+  });
+  const view = { ts: new Date().toISOString() };
+  TOPICS.forEach((topic) => {
+    if (client.topics.has(topic) && client.sent[topic]) Object.assign(view, client.sent[topic].fields);
+  });
+  view.server = getSamplerStats();
+
+  // Topic fields are JSON copies and the rest is plain JSON too, so the view can be diffed as is
+  client.seq += 1;
+  const payload = client.view && client.version >= 2
+    ? encodeMessage('patch', diffSnapshots(client.view, view), { seq: client.seq })
+    : encodeMessage('snapshot', view, { seq: client.seq });
+  try {
+    ws.send(payload);
+    client.view = view;
+  } catch (err) {
+    console.warn('Failed to send snapshot to client:', err.message);
+  }
+}
+
+function sendFullSnapshot(ws, client) {
+  client.view = null;
+  // Before the topics are collected there is nothing to send; the tick that collects them sends it
+  if (sampler.mode !== 'active' || ws.readyState !== WebSocket.OPEN) return;
+  const topics = topicsToSend(client, Date.now());
+  if (topics.length) sendUpdate(ws, client, topics);
+}
+
+function getSamplerStats() {
+  return {
+    clients: clients.size,
+    tickIntervalMs: TICK_MS,
+    topics: Object.fromEntries(subscribedTopics()),
+    historySamples: history.size(),
+    ticks: sampler.ticks,
+    skippedTicks: sampler.skippedTicks,
+    lastTickMs: sampler.lastTickMs,
+    maxTickMs: sampler.maxTickMs
+  };
+}
+
+async function collectSnapshot() {
+  const parts = await collectTopics(TOPICS);
+  return { ts: new Date().toISOString(), ...Object.assign({}, ...Object.values(parts)) };
+}
+
+// topics -> { topic: fields } (parts come back in TOPICS order, so snapshots keep their field order)
+async function collectTopics(topics) {
+  const results = await Promise.all(topics.map((topic) => topicCollectors[topic]()));
+  return Object.fromEntries(topics.map((topic, index) => [topic, results[index]]));
+}
+
 /* -------- Host stats (CPU, RAM, uptime) -------- */
 
 async function collectHostStats() {
@@ -101,6 +892,8 @@ async function collectHostStats() {
   return {
     uptimeSeconds,
     memory: {
+      totalBytes: totalKb * 1024,
+      usedBytes: usedKb * 1024,
       totalGb: round(totalKb / 1024 / 1024),
       usedGb: round(usedKb / 1024 / 1024),
       usedPercent: clamp(usedPercent, 0, 100)
@@ -150,8 +943,9 @@ async function collectNetworkStats() {
   if (lastNet && lastNet.iface === INTERFACE) {
     const seconds = (now - lastNet.ts) / 1000;
     if (seconds > 0) {
-      rxMbps = ((rxBytes - lastNet.rxBytes) * 8) / seconds / 1e6;
-      txMbps = ((txBytes - lastNet.txBytes) * 8) / seconds / 1e6;
+      // Counters restart after an interface bounce (or wrap); that sample reads as 0, not negative
+      rxMbps = (Math.max(rxBytes - lastNet.rxBytes, 0) * 8) / seconds / 1e6;
+      txMbps = (Math.max(txBytes - lastNet.txBytes, 0) * 8) / seconds / 1e6;
     }
   }
 
@@ -160,9 +954,7 @@ async function collectNetworkStats() {
   return {
     interface: INTERFACE,
     rxMbps,
-    txMbps,
-    rxRateMbps: rxMbps,
-    txRateMbps: txMbps
+    txMbps
   };
 }
 
@@ -189,6 +981,8 @@ async function collectArrayUsage() {
         : fallbackPercent;
 
     return {
+      totalBytes,
+      usedBytes,
       totalTb: round(totalBytes ? totalBytes / 1024 / 1024 / 1024 / 1024 : 0),
       usedTb: round(usedBytes ? usedBytes / 1024 / 1024 / 1024 / 1024 : 0),
       usedPercent: clamp(usedPercent, 0, 100)
@@ -199,104 +993,202 @@ async function collectArrayUsage() {
   }
 }
 
-/* -------- Containers (docker ps -a + inspect, updated by docker events) -------- */
+/* -------- Parity check / rebuild progress (var.ini or mdcmd status) -------- */
 
-async function getContainersSnapshot() {
-  // Ensure we have at least one full snapshot
-  if (!containersCache.initialised) {
-    await fullContainersRefresh();
+async function collectParityStatus() {
+  try {
+    let raw = null;
+    if (fs.existsSync(VAR_INI_PATH)) {
+      raw = fs.readFileSync(VAR_INI_PATH, 'utf-8');
+    } else {
+      const { stdout } = await execFileAsync('mdcmd', ['status']);
+      raw = stdout;
+    }
+    return buildParityStatus(parseKeyValues(raw));
+  } catch {
+    // Not an Unraid host (or nothing mounted): no parity info
+    return null;
   }
-  return containersCache.list;
 }
 
-async function fullContainersRefresh() {
-  try {
-    const { stdout } = await execAsync(
-      "docker ps -a --format '{{json .}}' --no-trunc || true"
-    );
-    if (!stdout || !stdout.trim()) {
-      containersCache = { initialised: true, list: [], byId: new Map() };
-      return;
-    }
+/* -------- Per-disk view (disks.ini + /mnt/<disk> mounts) -------- */
 
-    const psLines = stdout
-      .trim()
-      .split('\n')
-      .map((line) => line.trim())
-      .filter(Boolean);
+async function getDisksSnapshot() {
+  const now = Date.now();
+  if (now - disksCache.ts < DISKS_CACHE_MS) {
+    return disksCache.value;
+  }
 
-    const psEntries = [];
-    const ids = [];
+  try {
+    const disks = await collectDisks();
+    disksCache = { ts: now, value: disks };
+    return disks;
+  } catch (err) {
+    console.error('collectDisks failed:', err.message);
+    disksCache = { ts: now, value: disksCache.value || [] };
+    return disksCache.value;
+  }
+}
 
-    for (const line of psLines) {
+async function collectDisks() {
+  if (!fs.existsSync(DISKS_INI_PATH)) {
+    return [];
+  }
+  const sections = parseIni(fs.readFileSync(DISKS_INI_PATH, 'utf-8'));
+  const disks = buildDisksFromIni(sections);
+
+  // statfs reads the mounted filesystem directly and doesn't spin up sleeping drives
+  await Promise.all(
+    disks.map(async (disk) => {
+      if (disk.role === 'parity') return;
       try {
-        const entry = JSON.parse(line);
-        psEntries.push(entry);
-        if (entry.ID) ids.push(entry.ID);
+        const stat = await fs.promises.statfs(`/mnt/${disk.name}`);
+        const totalBytes = stat.blocks * stat.bsize;
+        if (!totalBytes) return;
+        applyDiskUsage(disk, totalBytes, (stat.blocks - stat.bfree) * stat.bsize);
       } catch {
-        // ignore bad line
+        // not mounted (e.g. secondary pool member); keep disks.ini figures
       }
-    }
+    })
+  );
 
-    let inspectMap = new Map();
-    if (ids.length) {
-      inspectMap = await inspectContainers(ids);
-    }
+  return disks;
+}
 
-    const list = [];
-    const byId = new Map();
+/* -------- Containers (Engine API or docker ps -a + inspect, updated by docker events) -------- */
 
-    for (const entry of psEntries) {
-      const details = inspectMap.get(entry.ID) || null;
-      const obj = buildContainerFromPsAndInspect(entry, details);
-      if (!obj) continue;
-      list.push(obj);
+async function detectDockerMode() {
+  if (await dockerApi.isDockerApiAvailable()) return 'api';
+  try {
+    await execFileAsync('docker', ['--version']);
+    return 'cli';
+  } catch {
+    return null;
+  }
+}
+
+async function getContainersSnapshot() {
+  if (!DOCKER_MODE) return [];
+  // Ensure we have at least one full snapshot
+  if (!containersCache.initialised) {
+    await fullContainersRefresh();
+  }
+  if (DOCKER_MODE === 'api' && dockerStats.active) {
+    syncApiStatsStreams();
+  }
+  return containersCache.list.map((container) => ({
+    ...container,
+    metrics: container.running ? lookupDockerStats(container) : null
+  }));
+}
+
+async function fullContainersRefresh() {
+  try {
+    const list =
+      DOCKER_MODE === 'api' ? await loadContainersFromApi() : await loadContainersFromCli();
+
+    const byId = new Map();
+    for (const obj of list) {
       if (obj.id) {
         byId.set(obj.id, obj);
       }
     }
 
     containersCache = { initialised: true, list, byId };
-    console.log(`Loaded ${list.length} containers from docker ps -a + inspect`);
+    console.log(`Loaded ${list.length} containers via docker ${DOCKER_MODE}`);
   } catch (err) {
     console.error('fullContainersRefresh failed:', err.message);
     containersCache.initialised = true;
   }
 }
 
+async function loadContainersFromApi() {
+  const summaries = await dockerApi.listContainers();
+  return summaries.map(buildContainerFromApi).filter(Boolean);
+}
+
+async function loadContainersFromCli() {
+  const { stdout } = await execAsync(
+    "docker ps -a --format '{{json .}}' --no-trunc || true"
+  );
+  if (!stdout || !stdout.trim()) {
+    return [];
+  }
+
+  const psLines = stdout
+    .trim()
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  const psEntries = [];
+  const ids = [];
+
+  for (const line of psLines) {
+    try {
+      const entry = JSON.parse(line);
+      psEntries.push(entry);
+      if (entry.ID) ids.push(entry.ID);
+    } catch {
+      // ignore bad line
+    }
+  }
+
+  let inspectMap = new Map();
+  if (ids.length) {
+    inspectMap = await inspectContainers(ids);
+  }
+
+  return psEntries
+    .map((entry) => buildContainerFromPsAndInspect(entry, inspectMap.get(entry.ID) || null))
+    .filter(Boolean);
+}
+
 async function refreshSingleContainer(id) {
   if (!id) return;
   try {
-    const { stdout } = await execAsync(
-      `docker ps -a --no-trunc --filter id=${id} --format '{{json .}}' || true`
-    );
-    if (!stdout || !stdout.trim()) {
+    const obj =
+      DOCKER_MODE === 'api' ? await fetchContainerFromApi(id) : await fetchContainerFromCli(id);
+    if (!obj) {
       // Container gone; remove from cache
       removeContainerFromCache(id);
       return;
     }
-    const line = stdout.trim().split('\n')[0].trim();
-    const entry = JSON.parse(line);
-
-    let details = null;
-    try {
-      const inspectOut = await execAsync(`docker inspect ${entry.ID}`);
-      const parsed = JSON.parse(inspectOut.stdout);
-      if (Array.isArray(parsed) && parsed[0]) {
-        details = parsed[0];
-      }
-    } catch (err) {
-      console.warn('docker inspect failed for', id, err.message);
-    }
-
-    const obj = buildContainerFromPsAndInspect(entry, details);
-    if (!obj) return;
     upsertContainerInCache(obj);
   } catch (err) {
     console.error('refreshSingleContainer failed for', id, err.message);
   }
 }
 
+async function fetchContainerFromApi(id) {
+  const [summary] = await dockerApi.listContainers({ id: [id] });
+  return summary ? buildContainerFromApi(summary) : null;
+}
+
+async function fetchContainerFromCli(id) {
+  const { stdout } = await execAsync(
+    `docker ps -a --no-trunc --filter id=${id} --format '{{json .}}' || true`
+  );
+  if (!stdout || !stdout.trim()) {
+    return null;
+  }
+  const line = stdout.trim().split('\n')[0].trim();
+  const entry = JSON.parse(line);
+
+  let details = null;
+  try {
+    const inspectOut = await execAsync(`docker inspect ${entry.ID}`);
+    const parsed = JSON.parse(inspectOut.stdout);
+    if (Array.isArray(parsed) && parsed[0]) {
+      details = parsed[0];
+    }
+  } catch (err) {
+    console.warn('docker inspect failed for', id, err.message);
+  }
+
+  return buildContainerFromPsAndInspect(entry, details);
+}
+
 function upsertContainerInCache(container) {
   const byId = containersCache.byId;
   const list = containersCache.list.slice();
@@ -355,12 +1247,38 @@ async function inspectContainers(ids = []) {
 function buildContainerFromPsAndInspect(entry, details) {
   if (!entry || !entry.ID) return null;
 
-  const status = String(entry.Status || '').toLowerCase();
-  const running = status.startsWith('up');
+  return buildContainer({
+    id: entry.ID,
+    name: entry.Names,
+    image: entry.Image,
+    status: entry.Status,
+    ports: parseDockerPorts(entry.Ports || ''),
+    // docker ps joins labels with commas, so values containing one only survive via inspect
+    labels: details?.Config?.Labels || parseDockerLabels(entry.Labels || ''),
+    containerIp: resolveContainerIp(details)
+  });
+}
+
+// Engine API summaries already carry labels, ports and networks; no inspect round-trip needed
+function buildContainerFromApi(summary) {
+  if (!summary || !summary.Id) return null;
+
+  const names = Array.isArray(summary.Names) ? summary.Names : [];
+  return buildContainer({
+    id: summary.Id,
+    name: (names[0] || '').replace(/^\//, '') || summary.Id.slice(0, 12),
+    image: summary.Image,
+    status: summary.Status,
+    ports: mapApiPorts(summary.Ports),
+    labels: summary.Labels || {},
+    containerIp: resolveContainerIp(summary)
+  });
+}
 
-  const ports = parseDockerPorts(entry.Ports || '');
-  const labels = parseDockerLabels(entry.Labels || '');
-  const containerIp = resolveContainerIp(details);
+function buildContainer({ id, name, image, status, ports, labels, containerIp }) {
+  const normalizedStatus = String(status || '').toLowerCase();
+  const running = normalizedStatus.startsWith('up');
+  const paused = normalizedStatus.includes('(paused)');
 
   const templateContext = { containerIp };
   const explicitUrl = applyDockerTemplate(labels['net.unraid.docker.webui'], ports, templateContext);
@@ -370,22 +1288,262 @@ function buildContainerFromPsAndInspect(entry, details) {
   const icon = normalizeUrl(explicitIcon);
 
   return {
-    id: entry.ID,
-    name: entry.Names,
-    image: entry.Image,
-    status: entry.Status,
+    id,
+    name,
+    image,
+    status,
     running,
+    paused,
     ports,
     containerIp,
     url,
     icon,
-    metrics: null // no per-container stats in WS path
+    metrics: null // filled from the docker stats stream in getContainersSnapshot()
   };
 }
 
+/* -------- docker stats stream (per-container CPU / memory / network) -------- */
+
+function startDockerStatsStream() {
+  if (dockerStats.active) return;
+  dockerStats.active = true;
+  if (DOCKER_MODE === 'api') {
+    syncApiStatsStreams();
+  } else if (DOCKER_MODE === 'cli') {
+    startCliStatsStream();
+  }
+}
+
+function stopDockerStatsStream() {
+  if (!dockerStats.active) return;
+  dockerStats.active = false;
+  for (const handle of dockerStats.apiStreams.values()) {
+    handle.close();
+  }
+  dockerStats.apiStreams.clear();
+
+  if (dockerStats.child) {
+    dockerStats.stopping = true;
+    dockerStats.child.kill();
+    dockerStats.child = null;
+  }
+  dockerStats.byKey.clear();
+  console.log('docker stats stream stopped');
+}
+
+// Engine API: one stats stream per running container, opened/closed as containers start and stop
+function syncApiStatsStreams() {
+  const runningIds = new Set(
+    containersCache.list.filter((c) => c.running && c.id).map((c) => c.id)
+  );
+
+  for (const [id, handle] of dockerStats.apiStreams) {
+    if (!runningIds.has(id)) {
+      handle.close();
+      dockerStats.apiStreams.delete(id);
+      dockerStats.byKey.delete(id);
+    }
+  }
+
+  for (const id of runningIds) {
+    if (dockerStats.apiStreams.has(id)) continue;
+    const handle = dockerApi.streamContainerStats(
+      id,
+      (raw) => handleApiStatsSample(id, raw),
+      (err) => {
+        // Stream ends when the container stops; the next sync reopens it if it is still running
+        if (dockerStats.apiStreams.get(id) === handle) {
+          dockerStats.apiStreams.delete(id);
+        }
+        if (err) {
+          console.warn(`docker stats stream for ${id.slice(0, 12)} ended:`, err.message);
+        }
+      }
+    );
+    dockerStats.apiStreams.set(id, handle);
+  }
+}
+
+function handleApiStatsSample(id, raw) {
+  if (!raw || !raw.cpu_stats) return;
+
+  const cpu = raw.cpu_stats;
+  const precpu = raw.precpu_stats || {};
+  const cpuDelta = (cpu.cpu_usage?.total_usage || 0) - (precpu.cpu_usage?.total_usage || 0);
+  const systemDelta = (cpu.system_cpu_usage || 0) - (precpu.system_cpu_usage || 0);
+  const onlineCpus = cpu.online_cpus || cpu.cpu_usage?.percpu_usage?.length || 1;
+  const cpuPercent =
+    systemDelta > 0 && cpuDelta >= 0 ? (cpuDelta / systemDelta) * onlineCpus * 100 : null;
+
+  // Match the docker CLI: page cache doesn't count as used memory (cgroup v1: cache, v2: inactive_file)
+  const mem = raw.memory_stats || {};
+  const cache = mem.stats?.inactive_file ?? mem.stats?.total_inactive_file ?? mem.stats?.cache ?? 0;
+  const memUsedBytes = Number.isFinite(mem.usage) ? Math.max(mem.usage - cache, 0) : null;
+  const memLimitBytes = Number.isFinite(mem.limit) ? mem.limit : null;
+  const memPercent =
+    memUsedBytes != null && memLimitBytes ? (memUsedBytes / memLimitBytes) * 100 : null;
+
+  let netRxBytes = null;
+  let netTxBytes = null;
+  if (raw.networks && typeof raw.networks === 'object') {
+    netRxBytes = 0;
+    netTxBytes = 0;
+    for (const net of Object.values(raw.networks)) {
+      netRxBytes += net.rx_bytes || 0;
+      netTxBytes += net.tx_bytes || 0;
+    }
+  }
+
+  recordDockerStatsSample([id], {
+    cpuPercent: cpuPercent != null ? round(cpuPercent) : null,
+    memPercent: memPercent != null ? round(memPercent) : null,
+    memUsedBytes,
+    memLimitBytes,
+    netRxBytes,
+    netTxBytes
+  });
+}
+
+// CLI fallback: a single `docker stats` process covering all running containers
+function startCliStatsStream() {
+  if (dockerStats.child) return;
+  dockerStats.stopping = false;
+
+  try {
+    // Without container args docker stats follows containers as they start and stop
+    const child = spawn('docker', ['stats', '--format', '{{json .}}']);
+    dockerStats.child = child;
+    console.log('docker stats stream started');
+
+    let buffer = '';
+
+    child.stdout.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\n')) >= 0) {
+        // Non-TTY output still carries the screen-clear escapes between refreshes
+        const line = buffer.slice(0, index).replace(/\x1b\[[0-9;]*[A-Za-z]/g, '').trim();
+        buffer = buffer.slice(index + 1);
+        if (!line) continue;
+        handleDockerStatsLine(line);
+      }
+    });
+
+    child.stderr.on('data', (chunk) => {
+      const msg = chunk.toString().trim();
+      if (msg) {
+        console.warn('docker stats stderr:', msg);
+      }
+    });
+
+    child.on('close', (code) => {
+      dockerStats.child = null;
+      dockerStats.byKey.clear();
+      if (dockerStats.stopping) return;
+      console.warn(`docker stats exited with code ${code}. Restarting in 5s…`);
+      setTimeout(() => {
+        if (dockerStats.active) startCliStatsStream();
+      }, 5000);
+    });
+
+    child.on('error', (err) => {
+      console.error('Failed to start docker stats stream:', err.message);
+    });
+  } catch (err) {
+    console.error('startCliStatsStream error:', err.message);
+  }
+}
+
+function handleDockerStatsLine(line) {
+  let entry;
+  try {
+    entry = JSON.parse(line);
+  } catch {
+    return;
+  }
+
+  const id = entry.ID || entry.Container;
+  const name = entry.Name;
+  if (!id && !name) return;
+
+  const { usedBytes: memUsedBytes, totalBytes: memLimitBytes } = parseUsagePair(entry.MemUsage);
+  const { usedBytes: netRxBytes, totalBytes: netTxBytes } = parseUsagePair(entry.NetIO);
+
+  recordDockerStatsSample([id, name], {
+    cpuPercent: parsePercent(entry.CPUPerc),
+    memPercent: parsePercent(entry.MemPerc),
+    memUsedBytes,
+    memLimitBytes,
+    netRxBytes,
+    netTxBytes
+  });
+}
+
+// Stores a sample under each key and derives network Mbps from the previous sample
+function recordDockerStatsSample(keys, values) {
+  const validKeys = keys.filter(Boolean);
+  if (!validKeys.length) return;
+
+  const now = Date.now();
+  let netRxMbps = null;
+  let netTxMbps = null;
+  const prev = dockerStats.byKey.get(validKeys[0]);
+  if (prev) {
+    const seconds = (now - prev.ts) / 1000;
+    if (seconds > 0) {
+      if (values.netRxBytes != null && prev.rxBytes != null) {
+        netRxMbps = (Math.max(values.netRxBytes - prev.rxBytes, 0) * 8) / seconds / 1e6;
+      }
+      if (values.netTxBytes != null && prev.txBytes != null) {
+        netTxMbps = (Math.max(values.netTxBytes - prev.txBytes, 0) * 8) / seconds / 1e6;
+      }
+    }
+  }
+
+  const sample = {
+    ts: now,
+    rxBytes: values.netRxBytes,
+    txBytes: values.netTxBytes,
+    metrics: { ...values, netRxMbps, netTxMbps }
+  };
+  validKeys.forEach((key) => dockerStats.byKey.set(key, sample));
+}
+
+function lookupDockerStats(container) {
+  const keys = [container.id?.slice(0, 12), container.id, container.name].filter(Boolean);
+  const now = Date.now();
+  for (const key of keys) {
+    const sample = dockerStats.byKey.get(key);
+    if (sample && now - sample.ts <= DOCKER_STATS_MAX_AGE_MS) {
+      return sample.metrics;
+    }
+  }
+  return null;
+}
+
 /* -------- docker events listener (update cache on change) -------- */
 
 function startDockerEventsListener() {
+  if (DOCKER_MODE === 'api') {
+    startApiEventsListener();
+    return;
+  }
+  startCliEventsListener();
+}
+
+function startApiEventsListener() {
+  dockerApi.streamContainerEvents(handleDockerEvent, (err) => {
+    console.warn(`Docker API event stream ended${err ? `: ${err.message}` : ''}. Restarting in 5s…`);
+    setTimeout(() => {
+      // Events may have been missed while disconnected
+      fullContainersRefresh();
+      startApiEventsListener();
+    }, 5000);
+  });
+  console.log('Docker API event stream started');
+}
+
+function startCliEventsListener() {
   try {
     const child = spawn('docker', ['events', '--format', '{{json .}}']);
 
@@ -413,16 +1571,15 @@ function startDockerEventsListener() {
 
     child.on('close', (code) => {
       console.warn(`docker events exited with code ${code}. Restarting in 5s…`);
-      setTimeout(startDockerEventsListener, 5000);
+      setTimeout(startCliEventsListener, 5000);
     });
 
     child.on('error', (err) => {
       console.error('Failed to start docker events listener:', err.message);
-      setTimeout(startDockerEventsListener, 5000);
     });
   } catch (err) {
-    console.error('startDockerEventsListener error:', err.message);
-    setTimeout(startDockerEventsListener, 5000);
+    console.error('startCliEventsListener error:', err.message);
+    setTimeout(startCliEventsListener, 5000);
   }
 }
 
@@ -433,7 +1590,10 @@ function handleDockerEventLine(line) {
   } catch {
     return;
   }
+  handleDockerEvent(evt);
+}
 
+function handleDockerEvent(evt) {
   if (!evt || (evt.Type && evt.Type !== 'container')) {
     return;
   }
@@ -509,7 +1669,8 @@ async function collectVmStats() {
       return {
         name,
         state,
-        running: state.startsWith('running')
+        running: state.startsWith('running'),
+        paused: state.startsWith('paused')
       };
     })
     .filter(Boolean);
@@ -558,6 +1719,33 @@ function parseDockerPorts(rawPorts) {
     });
 }
 
+function mapApiPorts(apiPorts) {
+  if (!Array.isArray(apiPorts)) return [];
+  const seen = new Set();
+  const ports = [];
+  for (const p of apiPorts) {
+    const containerPort = p.PrivatePort != null ? String(p.PrivatePort) : null;
+    const hostPort = p.PublicPort != null ? String(p.PublicPort) : null;
+    const protocol = p.Type || 'tcp';
+    // The API lists IPv4 and IPv6 bindings separately; keep one entry per mapping
+    const key = `${hostPort}->${containerPort}/${protocol}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    ports.push(
+      hostPort
+        ? {
+            hostIp: p.IP && p.IP.includes('.') ? p.IP : '0.0.0.0',
+            hostPort,
+            containerPort,
+            protocol,
+            display: `${hostPort}->${containerPort}/${protocol}`
+          }
+        : { containerPort, protocol, display: `${containerPort}/${protocol}` }
+    );
+  }
+  return ports;
+}
+
 function resolveContainerIp(details) {
   if (!details || !details.NetworkSettings) return null;
   const direct = details.NetworkSettings.IPAddress;
@@ -649,6 +1837,190 @@ function deriveDockerUrl(ports, containerIp) {
   return null;
 }
 
+/* -------- disks.ini parsing (same logic as the SSH collector, src/collector.sh) -------- */
+
+function parseIni(raw) {
+  const sections = [];
+  let current = null;
+  raw.split('\n').forEach((line) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith(';') || trimmed.startsWith('#')) return;
+    const header = trimmed.match(/^\[\s*"?([^"\]]*)"?\s*\]$/);
+    if (header) {
+      current = { section: header[1], values: {} };
+      sections.push(current);
+      return;
+    }
+    const idx = trimmed.indexOf('=');
+    if (idx === -1 || !current) return;
+    const key = trimmed.slice(0, idx).trim();
+    const value = trimmed.slice(idx + 1).trim().replace(/^"(.*)"$/, '$1');
+    current.values[key] = value;
+  });
+  return sections;
+}
+
+function buildDisksFromIni(sections) {
+  return sections
+    .map(({ section, values }) => {
+      const name = values.name || section;
+      const type = String(values.type || '').toLowerCase();
+      const status = values.status || '';
+      // Skip the boot flash and unassigned slots
+      if (!name || type === 'flash' || !values.device || status === 'DISK_NP' || status === 'DISK_NP_DSBL') {
+        return null;
+      }
+
+      const role =
+        type === 'parity' ? 'parity' : type === 'data' ? 'data' : name.startsWith('cache') ? 'cache' : 'pool';
+      const tempRaw = values.temp;
+      const temp = Number.parseInt(tempRaw, 10);
+      const spunDown =
+        values.spundown === '1' || tempRaw === '*' || String(values.color || '').endsWith('blink');
+
+      const disk = {
+        name,
+        role,
+        device: values.device,
+        model: values.id || null,
+        status,
+        fsType: values.fsType || null,
+        sizeBytes: toBytesFromKb(values.size),
+        usedBytes: null,
+        usedPercent: null,
+        tempC: Number.isFinite(temp) && !spunDown ? temp : null,
+        spunDown,
+        rotational: values.rotational !== '0'
+      };
+
+      const fsSize = toBytesFromKb(values.fsSize);
+      const fsFree = toBytesFromKb(values.fsFree);
+      if (fsSize && fsFree != null) {
+        applyDiskUsage(disk, fsSize, fsSize - fsFree);
+      }
+      return disk;
+    })
+    .filter(Boolean);
+}
+
+function applyDiskUsage(disk, totalBytes, usedBytes) {
+  disk.sizeBytes = totalBytes;
+  disk.usedBytes = Math.max(usedBytes, 0);
+  disk.usedPercent = clamp((disk.usedBytes / totalBytes) * 100, 0, 100);
+}
+
+// disks.ini sizes are in 1 KiB blocks
+function toBytesFromKb(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && value !== '' ? parsed * 1024 : null;
+}
+
+/* -------- var.ini / mdcmd parsing (same logic as the SSH collector, src/collector.sh) -------- */
+
+function parseKeyValues(raw) {
+  return String(raw || '')
+    .split('\n')
+    .reduce((acc, line) => {
+      const idx = line.indexOf('=');
+      if (idx === -1) return acc;
+      const key = line.slice(0, idx).trim();
+      if (!key) return acc;
+      acc[key] = line.slice(idx + 1).trim().replace(/^"(.*)"$/, '$1');
+      return acc;
+    }, {});
+}
+
+function buildParityStatus(values) {
+  if (!values || !('mdResync' in values || 'sbSynced' in values)) return null;
+
+  const total = Number(values.mdResync) || 0; // 1 KiB blocks to sync; 0 when idle
+  const position = Number(values.mdResyncPos) || 0;
+  const deltaBlocks = Number(values.mdResyncDb) || 0;
+  const deltaSeconds = Number(values.mdResyncDt) || 0;
+  const running = total > 0;
+
+  const speedBytesPerSec = running && deltaSeconds > 0 ? (deltaBlocks * 1024) / deltaSeconds : null;
+  const remainingBytes = Math.max(total - position, 0) * 1024;
+
+  const lastStarted = Number(values.sbSynced) || 0;
+  const lastFinished = Number(values.sbSynced2) || 0;
+
+  return {
+    arrayState: values.mdState || null,
+    running,
+    action: running ? parseResyncAction(values.mdResyncAction) : null,
+    correcting: values.mdResyncCorr === '1',
+    percent: running ? clamp((position / total) * 100, 0, 100) : null,
+    speedBytesPerSec,
+    etaSeconds: speedBytesPerSec ? Math.round(remainingBytes / speedBytesPerSec) : null,
+    syncErrors: Number(values.sbSyncErrs) || 0,
+    lastCheck:
+      !running && lastFinished
+        ? {
+            finishedAt: new Date(lastFinished * 1000).toISOString(),
+            durationSeconds: lastStarted && lastFinished >= lastStarted ? lastFinished - lastStarted : null,
+            errors: Number(values.sbSyncErrs) || 0,
+            // 0 = completed, negative = aborted / failed
+            exitCode: values.sbSyncExit != null && values.sbSyncExit !== '' ? Number(values.sbSyncExit) : null
+          }
+        : null
+  };
+}
+
+function parseResyncAction(action) {
+  const normalized = String(action || '').toLowerCase();
+  if (normalized.startsWith('check')) return 'check';
+  if (normalized.startsWith('recon d')) return 'rebuild';
+  if (normalized.startsWith('recon')) return 'parity-sync';
+  if (normalized.startsWith('clear')) return 'clear';
+  return normalized || 'check';
+}
+
+/* -------- docker stats parsing (same formats as the SSH collector, src/collector.sh) -------- */
+
+function parsePercent(value) {
+  if (!value || typeof value !== 'string') return null;
+  const parsed = Number.parseFloat(value.trim().replace('%', ''));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function parseUsagePair(value) {
+  if (!value || typeof value !== 'string') {
+    return { usedBytes: null, totalBytes: null };
+  }
+  const parts = value.split('/').map((p) => p.trim());
+  if (parts.length < 2) {
+    return { usedBytes: parseHumanBytes(parts[0]), totalBytes: null };
+  }
+  return {
+    usedBytes: parseHumanBytes(parts[0]),
+    totalBytes: parseHumanBytes(parts[1])
+  };
+}
+
+function parseHumanBytes(text) {
+  if (!text || typeof text !== 'string') return null;
+  const match = text.trim().match(/^([\d.]+)\s*([kKmMgGtTpP]?i?[bB])?/);
+  if (!match) return null;
+  const value = Number.parseFloat(match[1]);
+  if (!Number.isFinite(value)) return null;
+  const unit = (match[2] || 'B').toLowerCase();
+
+  const multipliers = {
+    b: 1,
+    kb: 1e3,
+    mb: 1e6,
+    gb: 1e9,
+    tb: 1e12,
+    kib: 1024,
+    mib: 1024 ** 2,
+    gib: 1024 ** 3,
+    tib: 1024 ** 4
+  };
+
+  return value * (multipliers[unit] ?? 1);
+}
+
 /* -------- Helpers -------- */
 
 function round(v) {
@@ -0,0 +1,51 @@
+// JSON Patch (RFC 6902) style diff between two consecutive snapshots, sent as `patch` messages
+// so clients only receive what changed each tick. Only `add`, `remove` and `replace` are used.
+// Arrays of the same length are diffed per index (containers, disks and VMs keep their order);
+// an array that grew or shrank is replaced whole, which is rare and keeps the client simple.
+
+// Both inputs must be plain JSON (e.g. JSON.parse output), so NaN / undefined are already gone
+export function diffSnapshots(previous, next) {
+  const ops = [];
+  diffValue(previous, next, '', ops);
+  return ops;
+}
+
+function diffValue(previous, next, path, ops) {
+  if (previous === next) return;
+  if (!isContainer(previous) || !isContainer(next) || Array.isArray(previous) !== Array.isArray(next)) {
+    ops.push({ op: 'replace', path, value: next });
+    return;
+  }
+
+  if (Array.isArray(next)) {
+    if (previous.length !== next.length) {
+      ops.push({ op: 'replace', path, value: next });
+      return;
+    }
+    next.forEach((item, index) => diffValue(previous[index], item, `${path}/${index}`, ops));
+    return;
+  }
+
+  Object.keys(previous).forEach((key) => {
+    if (!Object.hasOwn(next, key)) {
+      ops.push({ op: 'remove', path: `${path}/${escapePointer(key)}` });
+    }
+  });
+  Object.keys(next).forEach((key) => {
+    const childPath = `${path}/${escapePointer(key)}`;
+    if (!Object.hasOwn(previous, key)) {
+      ops.push({ op: 'add', path: childPath, value: next[key] });
+    } else {
+      diffValue(previous[key], next[key], childPath, ops);
+    }
+  });
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+// RFC 6901: '~' -> '~0', '/' -> '~1' (container names and labels may contain either)
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}